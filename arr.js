@@ -0,0 +1,359 @@
+// arr.js — shared Radarr/Sonarr client: HTTP with timeouts + retries, TTL caches, and result mapping
+const axios = require('axios');
+
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+const TRANSIENT_STATUS = [429, 502, 503, 504];
+
+function envNumber(name, fallback) {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && process.env[name] !== '' ? v : fallback;
+}
+
+const DEFAULTS = {
+  timeout: envNumber('ARR_TIMEOUT_MS', 15000),
+  retries: envNumber('ARR_RETRIES', 2),
+  lookupTtlMs: envNumber('ARR_LOOKUP_TTL_MS', 60 * 1000),
+  metaTtlMs: envNumber('ARR_META_TTL_MS', 5 * 60 * 1000),
+  calendarTtlMs: envNumber('ARR_CALENDAR_TTL_MS', 5 * 60 * 1000)
+};
+
+function safeString(x) {
+  try { return typeof x === 'string' ? x : JSON.stringify(x); } catch (e) { return String(x); }
+}
+
+/* -------------------------
+   Image helpers (normalize)
+   ------------------------- */
+
+// Build a usable absolute URL (handles TMDb style "/path.jpg" and full URLs)
+function makeImageUrl(img) {
+  if (!img) return null;
+  try {
+    if (Array.isArray(img) && img.length) img = img[0];
+    if (typeof img === 'object') {
+      img = img.remoteUrl || img.url || img.coverUrl || img.posterPath || img.backdropPath || img.path || img.imagePath;
+    }
+    if (!img) return null;
+    img = String(img).trim();
+    if (!img) return null;
+    if (img.startsWith('http://') || img.startsWith('https://')) return img;
+    if (img.startsWith('//')) return (process.env.SERVER_PROTOCOL || 'https:') + img;
+    if (img.startsWith('/')) return 'https://image.tmdb.org/t/p/w500' + img;
+    return img;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Normalize arrays/objects/strings into an array of full image URLs
+function makeImageUrlsArray(maybeImgs) {
+  if (!maybeImgs) return [];
+  try {
+    if (Array.isArray(maybeImgs)) {
+      return maybeImgs.map(it => makeImageUrl(it)).filter(Boolean);
+    }
+    if (typeof maybeImgs === 'object') {
+      // If object is a map of images, try to extract common fields
+      const candidate = maybeImgs.remoteUrl || maybeImgs.url || maybeImgs.coverUrl || maybeImgs.posterPath || maybeImgs.backdropPath || maybeImgs.path;
+      const v = makeImageUrl(candidate);
+      return v ? [v] : [];
+    }
+    // string
+    const v = makeImageUrl(String(maybeImgs));
+    return v ? [v] : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/* -------------------------
+   Result mapping (one shape for every endpoint)
+   ------------------------- */
+
+function lookupImages(item) {
+  let imgs = [];
+  const src = item.series && Array.isArray(item.series.images) && item.series.images.length ? item.series.images : item.images;
+  if (Array.isArray(src) && src.length) imgs = src.map(i => i.remoteUrl || i.url || i.coverUrl || i.path || i.posterPath).filter(Boolean);
+  else if (item.posterPath || item.backdropPath) imgs = [item.posterPath || item.backdropPath];
+  else if (item.imageUrl) imgs = [item.imageUrl];
+  else if (item.remotePoster) imgs = [item.remotePoster];
+  return makeImageUrlsArray(imgs);
+}
+
+// Lookups return the library record (with an id) for titles the instance already has
+function libraryState(inst, item) {
+  if (!inst || !item.id) return null;
+  let state;
+  if (inst.kind === 'radarr') {
+    state = item.hasFile ? 'downloaded' : item.monitored ? 'missing' : 'unmonitored';
+  } else {
+    const stats = item.statistics || {};
+    const files = stats.episodeFileCount || 0;
+    const total = stats.episodeCount || 0;
+    state = total && files >= total ? 'downloaded' : files ? 'partial' : item.monitored ? 'missing' : 'unmonitored';
+  }
+  const slug = item.titleSlug || (inst.kind === 'radarr' ? item.tmdbId : item.tvdbId);
+  const url = inst.publicUrl ? `${inst.publicUrl}/${inst.kind === 'radarr' ? 'movie' : 'series'}/${slug}` : null;
+  return { id: item.id, monitored: !!item.monitored, state, url };
+}
+
+// Radarr/Sonarr v4 give { id, name }, older Sonarr a plain string or nothing
+function languageName(lang) {
+  if (!lang) return null;
+  return typeof lang === 'object' ? lang.name || null : String(lang);
+}
+
+function toMovieResult(it, inst) {
+  const images = lookupImages(it);
+  return { title: it.title || it.titleSlug, tmdbId: it.tmdbId, imdbId: it.imdbId || null, year: it.year, overview: it.overview, imageUrl: images[0] || null, images,
+    originalLanguage: languageName(it.originalLanguage), genres: it.genres || [], certification: it.certification || null, studio: it.studio || null,
+    library: libraryState(inst, it) };
+}
+
+function toSeriesResult(item, inst) {
+  const images = lookupImages(item);
+  return {
+    title: item.title || item.seriesTitle || item.series?.title || item.name || null,
+    tvdbId: item.tvdbId || item.series?.tvdbId || item.remoteId || null,
+    imdbId: item.imdbId || item.series?.imdbId || null,
+    year: item.year || item.series?.year || null,
+    overview: item.overview || item.series?.overview,
+    imageUrl: images[0] || null,
+    images,
+    seasons: (item.seasons || item.series?.seasons || []).map(x => x.seasonNumber),
+    originalLanguage: languageName(item.originalLanguage),
+    genres: item.genres || [],
+    certification: item.certification || null,
+    network: item.network || null,
+    seriesType: item.seriesType || null,
+    library: libraryState(inst, item),
+    raw: item
+  };
+}
+
+// posters first (the series' for episodes), normalised like every other image
+function calendarImages(item) {
+  const src = item.series && Array.isArray(item.series.images) && item.series.images.length ? item.series.images : item.images || [];
+  return makeImageUrlsArray([...src].sort((a, b) => (b.coverType === 'poster') - (a.coverType === 'poster')));
+}
+
+const MOVIE_RELEASES = { inCinemas: 'cinema', digitalRelease: 'digital', physicalRelease: 'physical' };
+
+// one entry per date: a movie can have its cinema, digital and physical releases in range; an episode has its air date
+function toCalendarEntries(item, inst) {
+  const images = calendarImages(item);
+  const base = { instance: inst.key, imageUrl: images[0] || null, images, monitored: !!item.monitored, hasFile: !!item.hasFile };
+  if (inst.kind === 'radarr') {
+    const url = libraryState(inst, item)?.url || null;
+    return Object.keys(MOVIE_RELEASES).filter(field => item[field]).map(field => ({
+      ...base, type: 'movie', release: MOVIE_RELEASES[field], date: item[field], title: item.title, year: item.year || null,
+      tmdbId: item.tmdbId, imdbId: item.imdbId || null, arrId: item.id, url
+    }));
+  }
+  if (!item.airDateUtc) return [];
+  const series = item.series || {};
+  return [{
+    ...base, type: 'episode', release: 'air', date: item.airDateUtc, title: series.title || null, year: series.year || null,
+    tvdbId: series.tvdbId || null, imdbId: series.imdbId || null, arrId: item.seriesId, url: libraryState(inst, series)?.url || null,
+    seasonNumber: item.seasonNumber, episodeNumber: item.episodeNumber, episodeTitle: item.title || null, runtime: item.runtime || series.runtime || null
+  }];
+}
+
+function imdbTerm(imdbId) {
+  return imdbId.startsWith('tt') ? `imdb:${imdbId}` : imdbId;
+}
+
+/* -------------------------
+   Client
+   ------------------------- */
+
+// short, user-facing reason: "unauthorized (check the API key)", "timed out after 5000ms", "ECONNREFUSED", …
+function describeError(err) {
+  if (err.response) {
+    if (err.response.status === 401) return 'unauthorized (check the API key)';
+    return `HTTP ${err.response.status}${err.response.statusText ? ' ' + err.response.statusText : ''}`;
+  }
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') return `timed out${err.config && err.config.timeout ? ` after ${err.config.timeout}ms` : ''}`;
+  return err.code || err.message;
+}
+
+function isTransient(err) {
+  if (err.response) return TRANSIENT_STATUS.includes(err.response.status);
+  return TRANSIENT_CODES.includes(err.code);
+}
+
+// GETs are retried with exponential backoff (300ms, 600ms, …); writes never are — a POST that timed out may still have happened.
+// `noRetry: true` in the request config opts out (health checks want the first answer).
+function attachRetry(http, { retries, label, logger }) {
+  http.interceptors.response.use(null, async err => {
+    const config = err.config;
+    if (!config || config.noRetry || (config.method || 'get').toLowerCase() !== 'get' || !isTransient(err)) throw err;
+    config.retryCount = (config.retryCount || 0) + 1;
+    if (config.retryCount > retries) throw err;
+    const delay = 300 * 2 ** (config.retryCount - 1) + Math.floor(Math.random() * 100);
+    if (logger) logger.warn(`${label} GET ${config.url} failed (${err.response ? err.response.status : err.code}), retry ${config.retryCount}/${retries} in ${delay}ms`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return http.request(config);
+  });
+}
+
+// times every attempt; registered before attachRetry so each retry is counted on its own
+function attachMetrics(http, metrics) {
+  http.interceptors.request.use(config => { config.startedAt = process.hrtime.bigint(); return config; });
+  const observe = (config, outcome, reason) => {
+    if (!config || !config.startedAt) return;
+    metrics.request({ method: (config.method || 'get').toUpperCase(), url: config.url, outcome, reason, seconds: Number(process.hrtime.bigint() - config.startedAt) / 1e9 });
+  };
+  http.interceptors.response.use(
+    res => { observe(res.config, 'ok'); return res; },
+    err => { observe(err.config, 'error', err.response ? String(err.response.status) : err.code || 'error'); throw err; }
+  );
+}
+
+/**
+ * One client per configured instance.
+ * - `http`: axios instance (timeouts, api key, GET retries) for anything not covered below
+ * - `cached(key, ttlMs, fn)`: TTL cache that also collapses concurrent calls for the same key into one
+ * - `lookup(term)`, `meta()`, `calendar(start, end)`: cached and mapped; `libraryChanged()` / `invalidate(prefix)` after writes
+ * - `tagIds(labels)`: tag labels to ids, creating missing tags
+ * - `diagnose()`: uncached connectivity check for /api/diagnostics
+ * `metrics` (optional) gets request({ method, url, outcome, reason, seconds }) per HTTP attempt and cache({ cache, hit }) per cached() call.
+ */
+function createArrClient({ kind, key, baseURL, apiKey, publicUrl, logger, metrics, ...opts }) {
+  const settings = { ...DEFAULTS, ...opts };
+  const label = `${kind}/${key}`;
+  const http = axios.create({
+    baseURL,
+    timeout: settings.timeout,
+    params: { apikey: apiKey },
+    headers: { 'Content-Type': 'application/json' }
+  });
+  if (metrics) attachMetrics(http, metrics);
+  attachRetry(http, { retries: settings.retries, label, logger });
+
+  const cache = new Map();    // key -> { at, value }
+  const inflight = new Map(); // key -> Promise
+
+  async function cached(cacheKey, ttlMs, fn) {
+    const hit = cache.get(cacheKey);
+    const fresh = !!hit && Date.now() - hit.at < ttlMs;
+    // a call joining one already in flight is a hit too: it costs no extra request
+    if (metrics) metrics.cache({ cache: cacheKey.split(':')[0], hit: fresh || inflight.has(cacheKey) });
+    if (fresh) return hit.value;
+    if (inflight.has(cacheKey)) return inflight.get(cacheKey);
+    const p = (async () => {
+      try {
+        const value = await fn();
+        cache.set(cacheKey, { at: Date.now(), value });
+        return value;
+      } finally {
+        inflight.delete(cacheKey);
+      }
+    })();
+    inflight.set(cacheKey, p);
+    return p;
+  }
+
+  function invalidate(prefix = '') {
+    for (const k of cache.keys()) if (k.startsWith(prefix)) cache.delete(k);
+  }
+
+  const inst = { kind, key, publicUrl };
+  const mapResult = kind === 'radarr' ? toMovieResult : toSeriesResult;
+
+  // `term` is what the *arr lookup takes: a title, a bare TMDb id, or "imdb:tt…" / "tvdb:…"
+  function lookup(term) {
+    const t = String(term).trim();
+    return cached(`lookup:${t.toLowerCase()}`, settings.lookupTtlMs, async () => {
+      const { data } = await http.get(`/api/v3/${kind === 'radarr' ? 'movie' : 'series'}/lookup`, { params: { term: t } });
+      return (Array.isArray(data) ? data : []).slice(0, 20).map(it => mapResult(it, inst));
+    });
+  }
+
+  // root folders + quality profiles; empty lists plus `error` (not a throw) when the instance is down
+  async function meta() {
+    try {
+      return await cached('meta', settings.metaTtlMs, async () => {
+        const [rootsRes, qpsRes] = await Promise.all([http.get('/api/v3/rootfolder'), http.get('/api/v3/qualityprofile')]);
+        return { rootFolders: rootsRes.data || [], qualityProfiles: qpsRes.data || [] };
+      });
+    } catch (err) {
+      if (logger) logger.warn(`meta(${label}) failed: ` + safeString(err.response?.data || err.message));
+      return { rootFolders: [], qualityProfiles: [], error: describeError(err) };
+    }
+  }
+
+  // releases in [start, end) (ISO dates), oldest first; the *arr calendar also returns movies with only some other date in range
+  function calendar(start, end, { unmonitored = false } = {}) {
+    return cached(`calendar:${start}:${end}:${unmonitored}`, settings.calendarTtlMs, async () => {
+      const params = { start, end, unmonitored };
+      if (kind === 'sonarr') params.includeSeries = true;
+      const { data } = await http.get('/api/v3/calendar', { params });
+      const from = Date.parse(start);
+      const to = Date.parse(end);
+      return (Array.isArray(data) ? data : []).flatMap(it => toCalendarEntries(it, inst))
+        .filter(e => Date.parse(e.date) >= from && Date.parse(e.date) < to)
+        .sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+    });
+  }
+
+  // system/status first (reachability, API key, version), then root folders and the app's own health checks
+  async function diagnose(timeoutMs = 5000) {
+    const cfg = { timeout: timeoutMs, noRetry: true };
+    const started = Date.now();
+    try {
+      const { data: status } = await http.get('/api/v3/system/status', cfg);
+      const latencyMs = Date.now() - started;
+      const [roots, health] = await Promise.allSettled([http.get('/api/v3/rootfolder', cfg), http.get('/api/v3/health', cfg)]);
+      return {
+        reachable: true,
+        apiKeyValid: true,
+        appName: status.appName || null,
+        version: status.version || null,
+        latencyMs,
+        rootFolders: roots.status === 'fulfilled'
+          ? (roots.value.data || []).map(r => ({ path: r.path, freeSpace: r.freeSpace ?? null, accessible: r.accessible !== false }))
+          : null,
+        health: health.status === 'fulfilled'
+          ? (health.value.data || []).map(h => ({ source: h.source, type: h.type, message: h.message, wikiUrl: h.wikiUrl || null }))
+          : null,
+        errors: [roots, health].filter(r => r.status === 'rejected').map(r => describeError(r.reason))
+      };
+    } catch (err) {
+      const code = err.response && err.response.status;
+      return { reachable: !!err.response, apiKeyValid: code === 401 ? false : null, latencyMs: Date.now() - started, error: describeError(err) };
+    }
+  }
+
+  // tag labels -> ids, creating the ones the instance doesn't have yet
+  async function tagIds(labels) {
+    const wanted = [...new Set(labels.map(l => String(l).trim().toLowerCase()).filter(Boolean))];
+    if (!wanted.length) return [];
+    let tags = await cached('tags', settings.metaTtlMs, async () => (await http.get('/api/v3/tag')).data || []);
+    const find = label => tags.find(t => String(t.label).toLowerCase() === label);
+    const missing = wanted.filter(label => !find(label));
+    if (missing.length) {
+      for (const label of missing) tags = [...tags, (await http.post('/api/v3/tag', { label })).data];
+      invalidate('tags');
+    }
+    return wanted.map(label => find(label).id);
+  }
+
+  // adds, deletes and edits change what lookups and library listings report
+  function libraryChanged() {
+    invalidate('lookup:');
+    invalidate('library');
+    invalidate('calendar:');
+  }
+
+  return { http, cached, invalidate, libraryChanged, lookup, meta, calendar, tagIds, diagnose, settings };
+}
+
+module.exports = {
+  createArrClient,
+  attachMetrics,
+  makeImageUrl,
+  makeImageUrlsArray,
+  libraryState,
+  imdbTerm
+};
@@ -0,0 +1,73 @@
+// auth.js — password hashing, API tokens, session cookies and CSRF helpers (no storage; server.js owns the data)
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LEN = 64;
+
+// "scrypt:<salt hex>:<hash hex>"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, KEY_LEN);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// constant-time string compare that also hides the length of the expected value
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a == null ? '' : a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b == null ? '' : b)).digest();
+  return crypto.timingSafeEqual(ha, hb) && a != null && b != null;
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// API tokens are shown once and only their hash is stored; the "rrr_" prefix makes them easy to spot in configs
+function newApiToken() {
+  const token = `rrr_${randomToken(24)}`;
+  return { token, hash: hashToken(token), prefix: token.slice(0, 8) };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function parseCookies(header) {
+  const out = {};
+  String(header || '').split(';').forEach(part => {
+    const i = part.indexOf('=');
+    if (i < 0) return;
+    const k = part.slice(0, i).trim();
+    if (!k || k in out) return;
+    try { out[k] = decodeURIComponent(part.slice(i + 1).trim()); } catch (e) { out[k] = part.slice(i + 1).trim(); }
+  });
+  return out;
+}
+
+function serializeCookie(name, value, { maxAgeSec, secure = false, httpOnly = true, sameSite = 'Lax', path = '/' } = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`, `SameSite=${sameSite}`];
+  if (maxAgeSec != null) parts.push(`Max-Age=${Math.max(0, Math.floor(maxAgeSec))}`);
+  if (httpOnly) parts.push('HttpOnly');
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  safeEqual,
+  randomToken,
+  newApiToken,
+  hashToken,
+  parseCookies,
+  serializeCookie
+};
@@ -2,10 +2,13 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
 const axios = require('axios');
 const winston = require('winston');
 require('winston-daily-rotate-file');
+const metrics = require('./metrics');
+const { attachMetrics } = require('./arr');
 
 const { format, transports, createLogger } = winston;
 
@@ -37,25 +40,186 @@ if (!TOKEN) throw new Error('TELEGRAM_TOKEN missing');
 const bot = new TelegramBot(TOKEN, { polling: true });
 
 const API_BASE = process.env.WEB_API_BASE || 'http://localhost:3000';
+// the bot should have its own token (Access → API tokens, owned by an admin account); basic auth is the legacy fallback
 const apiAxiosConfig = {};
-if (process.env.BASIC_AUTH_USER) {
+if (process.env.BOT_API_TOKEN) {
+  apiAxiosConfig.headers = { Authorization: `Bearer ${process.env.BOT_API_TOKEN}` };
+  botLogger.info('Using API token for server API calls');
+} else if (process.env.BASIC_AUTH_USER) {
   apiAxiosConfig.auth = { username: process.env.BASIC_AUTH_USER, password: process.env.BASIC_AUTH_PASS || '' };
-  botLogger.info('Using Basic Auth for server API calls');
+  botLogger.warn('Using Basic Auth for server API calls — create an API token and set BOT_API_TOKEN instead');
 }
 const api = axios.create(Object.assign({ baseURL: API_BASE, timeout: 15000 }, apiAxiosConfig));
 
-// compact callback data helpers
-function cbAddRadarr(tmdbId) { return `AR|${tmdbId}`; }
-function cbAddSonarr(tvdbIdOrKey) { return `AS|${tvdbIdOrKey}`; }
-
-// Build media group for Telegram (first item may have caption)
-function buildMediaGroupFromUrls(urls, captionForFirst) {
-  return (urls || []).slice(0, 10).map((u, idx) => {
-    const media = { type: 'photo', media: u };
-    if (idx === 0 && captionForFirst) media.caption = captionForFirst;
-    if (idx === 0) media.parse_mode = 'HTML';
-    return media;
+/* -------------------------
+   metrics (pushed to the server, which serves them with its own on /metrics)
+   ------------------------- */
+const METRICS_PUSH_MS = Number(process.env.BOT_METRICS_PUSH_MS || 15000);
+const botMetric = {
+  updates: metrics.counter('rrr_bot_updates_total', 'Telegram updates handled by the bot by type and command/callback action', ['type', 'name']),
+  errors: metrics.counter('rrr_bot_errors_total', 'Bot errors by where they happened', ['where']),
+  serverSeconds: metrics.histogram('rrr_bot_server_request_duration_seconds', 'Bot calls to the server API', ['method', 'route', 'outcome']),
+  serverErrors: metrics.counter('rrr_bot_server_errors_total', 'Failed bot calls to the server API by reason (HTTP status or error code)', ['route', 'reason']),
+  telegramSeconds: metrics.histogram('rrr_bot_telegram_request_duration_seconds', 'Bot calls to the Telegram Bot API (getUpdates is the long poll)', ['method', 'outcome'])
+};
+
+// "/api/telegram/users/123/prefs" -> "/api/telegram/users/:id/prefs": ids, usernames and request ids would make a label per user
+function routeLabel(url) {
+  return String(url || '').split('?')[0].split('/').map(seg => (/[\d%@]/.test(seg) ? ':id' : seg)).join('/');
+}
+
+attachMetrics(api, {
+  request({ method, url, outcome, reason, seconds }) {
+    const route = routeLabel(url);
+    botMetric.serverSeconds.observe({ method, route, outcome }, seconds);
+    if (outcome === 'error') botMetric.serverErrors.inc({ route, reason });
+  }
+});
+
+// node-telegram-bot-api sends every Bot API call through _request(method, options)
+if (typeof bot._request === 'function') {
+  const request = bot._request.bind(bot);
+  bot._request = async (method, options) => {
+    const end = botMetric.telegramSeconds.startTimer({ method });
+    try {
+      const out = await request(method, options);
+      end({ outcome: 'ok' });
+      return out;
+    } catch (err) {
+      end({ outcome: 'error' });
+      throw err;
+    }
+  };
+}
+
+bot.on('message', (msg) => {
+  const command = /^\/(\w+)/.exec(msg.text || '');
+  botMetric.updates.inc({ type: 'message', name: command ? command[1].toLowerCase() : msg.text ? 'text' : 'other' });
+});
+
+bot.on('polling_error', (err) => {
+  botMetric.errors.inc({ where: 'polling' });
+  botLogger.warn('Polling error: ' + safeString(err.code || err.message));
+});
+
+let metricsPushFailing = false;
+setInterval(async () => {
+  try {
+    await api.post('/api/metrics/bot', { metrics: metrics.snapshot() });
+    if (metricsPushFailing) botLogger.info('Metrics push to the server works again');
+    metricsPushFailing = false;
+  } catch (err) {
+    // once per outage, not every interval
+    if (!metricsPushFailing) botLogger.warn('Metrics push failed: ' + safeString(err.response?.data || err.message));
+    metricsPushFailing = true;
+  }
+}, METRICS_PUSH_MS);
+
+function displayName(from) {
+  return [from.first_name, from.last_name].filter(Boolean).join(' ') || null;
+}
+
+function requesterFrom(from, chatId) {
+  return { source: 'telegram', id: from.id, username: from.username || null, name: displayName(from), chatId };
+}
+
+/* -------------------------
+   access control (roles live in the server's user registry)
+   ------------------------- */
+const userCache = new Map();
+async function getTelegramUser(id) {
+  const hit = userCache.get(String(id));
+  if (hit && Date.now() - hit.at < 30 * 1000) return hit.user;
+  const r = await api.get(`/api/telegram/users/${id}`, { validateStatus: s => s === 200 || s === 404 });
+  const user = r.status === 200 ? r.data : null;
+  userCache.set(String(id), { at: Date.now(), user });
+  return user;
+}
+
+async function isAdmin(from) {
+  const user = await getTelegramUser(from.id);
+  return !!user && user.role === 'admin';
+}
+
+// Returns the registry entry for users with access; otherwise answers politely and returns null
+async function authorize(from, chatId) {
+  const user = await getTelegramUser(from.id);
+  if (user && user.role !== 'pending') return user;
+  if (user) {
+    await bot.sendMessage(chatId, '⏳ Your access request is waiting for an admin. You will get a message once it is decided.');
+  } else {
+    botLogger.info(`Refused unknown telegram user ${from.id} (${from.username || displayName(from) || '-'})`);
+    await bot.sendMessage(chatId, "Sorry, this bot is private and you don't have access yet.", {
+      reply_markup: { inline_keyboard: [[{ text: '🙋 Request access', callback_data: 'UA' }]] }
+    });
+  }
+  return null;
+}
+
+// authorize() for button presses; answers the query when access is refused. Inline cards sit in chats the bot
+// may not be in, and the presser may never have opened the bot, so there the refusal is an alert.
+async function authorizeCallback(query, chatId) {
+  if (!query.inline_message_id) {
+    const user = await authorize(query.from, chatId);
+    if (!user) await bot.answerCallbackQuery(query.id);
+    return user;
+  }
+  const user = await getTelegramUser(query.from.id);
+  if (user && user.role !== 'pending') return user;
+  await bot.answerCallbackQuery(query.id, {
+    text: user ? '⏳ Your access request is waiting for an admin.' : '🔒 This bot is private — open a chat with it to request access.',
+    show_alert: true
   });
+  return null;
+}
+
+function formatQuota(user) {
+  const part = (used, max) => `${used}/${max == null ? '∞' : max}`;
+  return `movies ${part(user.usage.movies, user.quota.movies)}, series ${part(user.usage.series, user.quota.series)} (last ${user.usage.windowDays} days)`;
+}
+
+// configured Radarr/Sonarr instances, refreshed every few minutes
+let instanceCache = { at: 0, data: { radarr: [], sonarr: [] } };
+async function getInstances() {
+  if (Date.now() - instanceCache.at < 5 * 60 * 1000) return instanceCache.data;
+  try {
+    const r = await api.get('/api/instances');
+    instanceCache = { at: Date.now(), data: r.data };
+  } catch (err) {
+    botLogger.warn('Failed to load instances: ' + safeString(err.response?.data || err.message));
+  }
+  return instanceCache.data;
+}
+
+/* -------------------------
+   callback state (buttons carry a short key; what they act on is kept here until it expires)
+   ------------------------- */
+// Telegram caps callback_data at 64 bytes — not enough for a title, its ids, the instance and chosen options
+const STATE_TTL_MS = Number(process.env.BOT_STATE_TTL_MS || 24 * 60 * 60 * 1000);
+const STATE_MAX = 2000;
+// inline queries run on every keystroke and store a card per result, so they get their own, smaller store
+// instead of pushing open /search views out of the main one
+const INLINE_STATE_MAX = 500;
+const callbackStates = { max: STATE_MAX, states: new Map() };
+const inlineStates = { max: INLINE_STATE_MAX, states: new Map() };
+
+function saveState(value, store = callbackStates) {
+  const { states } = store;
+  let key;
+  do key = crypto.randomBytes(4).toString('hex'); while (states.has(key));
+  states.set(key, { value, at: Date.now() });
+  if (states.size > store.max) states.delete(states.keys().next().value);
+  return key;
+}
+
+// null once expired or evicted (and after a restart); each use extends the expiry and moves it to the back of the queue
+function loadState(key, store = callbackStates) {
+  const { states } = store;
+  const hit = states.get(key);
+  states.delete(key);
+  if (!hit || Date.now() - hit.at > STATE_TTL_MS) return null;
+  states.set(key, { value: hit.value, at: Date.now() });
+  return hit.value;
 }
 
 // extract image URLs from server result (server now returns images[] reliably)
@@ -70,6 +234,185 @@ function extractImageUrlsFromResult(item) {
   return [];
 }
 
+const LIBRARY_LABELS = { downloaded: '✅ In library — downloaded', partial: '🧩 In library — partly downloaded', missing: '🔎 In library — monitored, missing', unmonitored: '📁 In library — unmonitored' };
+
+function libraryLine(item) {
+  return item.library ? `\n${LIBRARY_LABELS[item.library.state] || 'In library'}` : '';
+}
+
+// which routing rule an add would follow (search results carry the server's preview)
+function ruleLine(item) {
+  const r = item.route;
+  if (!r || item.library) return '';
+  return `\n📐 Rule “${r.rule.name}”${r.instanceName ? ` → ${r.instanceName}` : ''}${r.tags.length ? ` • tags: ${r.tags.join(', ')}` : ''}`;
+}
+
+// Telegram refuses url buttons pointing at localhost
+function usableUrl(url) {
+  return !!url && /^https?:\/\//.test(url) && !/^https?:\/\/(localhost|127\.)/.test(url);
+}
+
+// caption for a combined-search result (/search and inline cards)
+function searchResultText(item) {
+  const isMovie = item.type === 'movie';
+  const title = `${isMovie ? '🎬' : '📺'} ${item.title}${item.year ? ` (${item.year})` : ''}`;
+  const ids = isMovie ? `TMDB: ${item.tmdbId}` : `TVDB: ${item.tvdbId || 'n/a'}`;
+  return `${title}\n${ids}${libraryLine(item)}${ruleLine(item)}\n${item.overview ? item.overview.slice(0, 200) + '...' : ''}`;
+}
+
+/* -------------------------
+   search results (one message per search, paged; Details and Add act on the title shown)
+   ------------------------- */
+const RESULT_LIMIT = 20;
+
+// view = { query, items, page, details, insts } — kept in the callback state; every button carries its key
+// (R|key|… for chat results, I|key|… for inline cards, which live in their own store).
+// insts is the instance list the Add buttons were drawn from, so a button's index still means the same instance later.
+const RESULT_STORES = { R: callbackStates, I: inlineStates };
+
+function resultView(query, items, insts) {
+  // series lookups carry the raw Sonarr record, which the view never shows
+  return { query, items: items.map(({ raw, ...item }) => item), page: 0, details: false, insts };
+}
+
+function resultDetailsText(item) {
+  const isMovie = item.type === 'movie';
+  const ids = [isMovie ? `TMDB ${item.tmdbId}` : item.tvdbId ? `TVDB ${item.tvdbId}` : null, item.imdbId ? `IMDb ${item.imdbId}` : null].filter(Boolean);
+  const facts = [(item.genres || []).join(', '), item.certification, item.originalLanguage, item.network || item.studio].filter(Boolean);
+  const seasons = (item.seasons || []).filter(n => n > 0).length;
+  const lines = [`${isMovie ? '🎬' : '📺'} ${item.title}${item.year ? ` (${item.year})` : ''}`, ids.join(' • '), facts.join(' • ')];
+  if (seasons) lines.push(`${seasons} season${seasons === 1 ? '' : 's'}`);
+  return `${lines.filter(Boolean).join('\n')}${libraryLine(item)}${ruleLine(item)}${item.overview ? `\n\n${item.overview.slice(0, 3000)}` : ''}`;
+}
+
+function resultPageText(view) {
+  const item = view.items[view.page];
+  const text = view.details ? resultDetailsText(item) : searchResultText(item);
+  return view.items.length > 1 ? `🔍 “${view.query}” — ${view.page + 1}/${view.items.length}\n\n${text}` : text;
+}
+
+// the poster shows as the message's link preview, so every page is the same editable text message
+function resultPreview(item) {
+  const poster = extractImageUrlsFromResult(item).find(usableUrl);
+  return poster ? { url: poster, prefer_large_media: true, show_above_text: true } : { is_disabled: true };
+}
+
+// Prev/Next, Details, then one "request" button per instance (a single one when only one is configured; ⭐ marks
+// a routing rule's pick) — or Open / Search now for titles the library already has
+function resultKeyboard(key, view, prefix = 'R') {
+  const item = view.items[view.page];
+  const kind = item.type === 'movie' ? 'radarr' : 'sonarr';
+  const cb = (...parts) => [prefix, key, ...parts].join('|');
+  const rows = [];
+  const nav = [];
+  if (view.page > 0) nav.push({ text: '◀️ Prev', callback_data: cb('p', view.page - 1) });
+  if (view.page < view.items.length - 1) nav.push({ text: 'Next ▶️', callback_data: cb('p', view.page + 1) });
+  if (nav.length) rows.push(nav);
+  rows.push([{ text: view.details ? '⬅️ Summary' : 'ℹ️ Details', callback_data: cb('d') }]);
+  if (item.library) {
+    const row = [];
+    if (usableUrl(item.library.url)) row.push({ text: '🔗 Open', url: item.library.url });
+    if (item.library.state !== 'downloaded') row.push({ text: '🔎 Search now', callback_data: cb('n') });
+    if (row.length) rows.push(row);
+    return { inline_keyboard: rows };
+  }
+  const list = view.insts[kind] || [];
+  const preferred = item.route && item.route.instance;
+  if (list.length <= 1) rows.push([{ text: `➕ Request for ${kind === 'radarr' ? 'Radarr' : 'Sonarr'}`, callback_data: cb('a') }]);
+  else list.forEach((inst, i) => rows.push([{ text: `➕ ${inst.name}${inst.key === preferred ? ' ⭐' : ''}`, callback_data: cb('a', i) }]));
+  return { inline_keyboard: rows };
+}
+
+function resultMessageOptions(key, view, prefix) {
+  return { reply_markup: resultKeyboard(key, view, prefix), link_preview_options: JSON.stringify(resultPreview(view.items[view.page])) };
+}
+
+// turns the "Searching…" message into the first page of results
+async function showResults(message, query, items) {
+  const view = resultView(query, items, await getInstances());
+  const key = saveState(view);
+  await bot.editMessageText(resultPageText(view), { ...message, ...resultMessageOptions(key, view) });
+}
+
+async function handleResultCallback(query, prefix, [key, op, arg], chatId) {
+  const view = loadState(key, RESULT_STORES[prefix]);
+  if (!view) {
+    try { await bot.editMessageReplyMarkup({ inline_keyboard: [] }, callbackMessage(query)); } catch (e) { /* already gone */ }
+    return bot.answerCallbackQuery(query.id, { text: 'These results expired — search again.', show_alert: true });
+  }
+  if (op === 'p' || op === 'd') {
+    if (op === 'p') {
+      view.page = Math.min(Math.max(Number(arg) || 0, 0), view.items.length - 1);
+      view.details = false;
+    } else {
+      view.details = !view.details;
+    }
+    try {
+      await bot.editMessageText(resultPageText(view), { ...callbackMessage(query), ...resultMessageOptions(key, view, prefix) });
+    } catch (err) {
+      // a double tap asks for the page that is already shown
+      if (!/not modified/i.test(err.message)) throw err;
+    }
+    return bot.answerCallbackQuery(query.id);
+  }
+  const user = await authorizeCallback(query, chatId);
+  if (!user) return;
+  const item = view.items[view.page];
+  const kind = item.type === 'movie' ? 'radarr' : 'sonarr';
+  if (op === 'n') {
+    // kicking off indexer searches is for trusted users and admins
+    if (user.role !== 'admin' && user.role !== 'trusted') return bot.answerCallbackQuery(query.id, { text: 'Only trusted users can start searches', show_alert: true });
+    const r = await api.post(`/api/library/${kind}/${item.library.id}/search`, { instance: item.instance, by: requesterFrom(query.from, chatId) }, { validateStatus: s => s < 500 });
+    botLogger.info(`Search now ${kind}/${item.library.id} by ${query.from.id}: ${r.status}`);
+    return bot.answerCallbackQuery(query.id, { text: r.status === 200 ? '🔎 Search started' : r.data.error || 'Search failed' });
+  }
+  if (op === 'a') {
+    const inst = arg === undefined ? null : (view.insts[kind] || [])[Number(arg)];
+    const body = {
+      type: item.type,
+      instance: inst ? inst.key : undefined,
+      title: item.title,
+      year: item.year,
+      imageUrl: item.imageUrl,
+      requester: requesterFrom(query.from, chatId)
+    };
+    if (item.type === 'movie') body.tmdbId = item.tmdbId;
+    else Object.assign(body, { tvdbId: item.tvdbId || undefined, imdbId: item.imdbId || undefined });
+    await startAddWizard(query, body, item);
+    return bot.answerCallbackQuery(query.id);
+  }
+  return bot.answerCallbackQuery(query.id, { text: 'Unknown action' });
+}
+
+/* -------------------------
+   /search command (movies and series together)
+   ------------------------- */
+bot.onText(/^\/search(?:@\w+)?\s+(.+)/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const query = match[1].trim();
+  botLogger.info(`Received /search "${query}" from ${chatId}`);
+  try {
+    if (!(await authorize(msg.from, chatId))) return;
+    const pending = await bot.sendMessage(chatId, `Searching movies and series for: "${query}"...`);
+    const message = { chat_id: chatId, message_id: pending.message_id };
+    const r = await api.post('/api/search', { query, requester: requesterFrom(msg.from, chatId) });
+    const { results, errors } = r.data;
+    Object.keys(errors || {}).forEach(kind => botLogger.warn(`/search: ${kind} failed: ${errors[kind]}`));
+    if (!results.length) return bot.editMessageText(Object.keys(errors || {}).length ? `Search failed (${Object.keys(errors).join(', ')} unavailable) — admins can run /health.` : 'No matches found.', message);
+    await showResults(message, query, results.slice(0, RESULT_LIMIT));
+  } catch (err) {
+    botLogger.error('bot search error: ' + safeString(err.response?.data || err.message));
+    bot.sendMessage(chatId, 'Search failed — check server logs.');
+  }
+});
+
+// the single-kind searches ask the default instance by name and tag the results with it, so "Search now" and the
+// library state refer to the instance the lookup came from
+async function defaultInstanceKey(kind) {
+  const list = (await getInstances())[kind] || [];
+  return list.length ? list[0].key : undefined;
+}
+
 /* -------------------------
    /searchmovie command
    ------------------------- */
@@ -78,44 +421,15 @@ bot.onText(/\/searchmovie (.+)/i, async (msg, match) => {
   const query = match[1].trim();
   botLogger.info(`Received /searchmovie "${query}" from ${chatId}`);
   try {
-    await bot.sendMessage(chatId, `Searching Radarr for: "${query}"...`);
-    const r = await api.post('/api/search/movie', { query });
+    if (!(await authorize(msg.from, chatId))) return;
+    const pending = await bot.sendMessage(chatId, `Searching Radarr for: "${query}"...`);
+    const message = { chat_id: chatId, message_id: pending.message_id };
+    const instance = await defaultInstanceKey('radarr');
+    const r = await api.post('/api/search/movie', { query, instance, requester: requesterFrom(msg.from, chatId) });
     const results = Array.isArray(r.data) ? r.data : [];
     botLogger.info(`Radarr returned ${results.length} results for "${query}"`);
-    if (!results.length) return bot.sendMessage(chatId, 'No matches found.');
-
-    for (const item of results.slice(0, 6)) {
-      const title = item.title + (item.year ? ` (${item.year})` : '');
-      const text = `${title}\nTMDB: ${item.tmdbId}\n${item.overview ? item.overview.slice(0, 220) + '...' : ''}`;
-      const keyboard = { reply_markup: { inline_keyboard: [[{ text: '➕ Add to Radarr', callback_data: cbAddRadarr(item.tmdbId) }]] } };
-
-      const imageUrls = extractImageUrlsFromResult(item);
-      if (imageUrls.length === 0) {
-        await bot.sendMessage(chatId, text, keyboard);
-      } else if (imageUrls.length === 1) {
-        try {
-          await bot.sendPhoto(chatId, imageUrls[0], { caption: text, parse_mode: 'HTML', ...keyboard });
-        } catch (err) {
-          botLogger.warn('sendPhoto failed, falling back to text: ' + safeString(err.message));
-          await bot.sendMessage(chatId, text, keyboard);
-        }
-      } else {
-        // multiple images -> send media group then send inline keyboard message below the gallery
-        try {
-          const media = buildMediaGroupFromUrls(imageUrls, text);
-          await bot.sendMediaGroup(chatId, media);
-          await bot.sendMessage(chatId, ' ', keyboard); // empty message with keyboard (so button shows below album)
-        } catch (err) {
-          botLogger.warn('sendMediaGroup failed, falling back: ' + safeString(err.message));
-          try {
-            await bot.sendPhoto(chatId, imageUrls[0], { caption: text, parse_mode: 'HTML', ...keyboard });
-          } catch (err2) {
-            botLogger.warn('fallback sendPhoto also failed: ' + safeString(err2.message));
-            await bot.sendMessage(chatId, text, keyboard);
-          }
-        }
-      }
-    }
+    if (!results.length) return bot.editMessageText('No matches found.', message);
+    await showResults(message, query, results.slice(0, RESULT_LIMIT).map(item => ({ ...item, type: 'movie', instance })));
   } catch (err) {
     botLogger.error('bot searchmovie error: ' + safeString(err.response?.data || err.message));
     bot.sendMessage(chatId, 'Search failed — check server logs.');
@@ -130,74 +444,919 @@ bot.onText(/\/searchseries (.+)/i, async (msg, match) => {
   const query = match[1].trim();
   botLogger.info(`Received /searchseries "${query}" from ${chatId}`);
   try {
-    await bot.sendMessage(chatId, `Searching Sonarr for: "${query}"...`);
-    const r = await api.post('/api/search/series', { query });
+    if (!(await authorize(msg.from, chatId))) return;
+    const pending = await bot.sendMessage(chatId, `Searching Sonarr for: "${query}"...`);
+    const message = { chat_id: chatId, message_id: pending.message_id };
+    const instance = await defaultInstanceKey('sonarr');
+    const r = await api.post('/api/search/series', { query, instance, requester: requesterFrom(msg.from, chatId) });
     const results = Array.isArray(r.data) ? r.data : [];
     botLogger.info(`Sonarr returned ${results.length} results for "${query}"`);
-    if (!results.length) return bot.sendMessage(chatId, 'No matches found.');
-
-    for (const item of results.slice(0, 6)) {
-      const title = item.title + (item.year ? ` (${item.year})` : '');
-      const text = `${title}\nTVDB: ${item.tvdbId || 'n/a'}\nIMDB: ${item.imdbId || 'n/a'}`;
-      const key = item.tvdbId || item.imdbId || item.title;
-      const keyboard = { reply_markup: { inline_keyboard: [[{ text: '➕ Add to Sonarr', callback_data: cbAddSonarr(key) }]] } };
-
-      const imageUrls = extractImageUrlsFromResult(item);
-      if (imageUrls.length === 0) {
-        await bot.sendMessage(chatId, text, keyboard);
-      } else if (imageUrls.length === 1) {
-        try {
-          await bot.sendPhoto(chatId, imageUrls[0], { caption: text, parse_mode: 'HTML', ...keyboard });
-        } catch (err) {
-          botLogger.warn('sendPhoto failed, falling back to text: ' + safeString(err.message));
-          await bot.sendMessage(chatId, text, keyboard);
-        }
-      } else {
-        try {
-          const media = buildMediaGroupFromUrls(imageUrls, text);
-          await bot.sendMediaGroup(chatId, media);
-          await bot.sendMessage(chatId, ' ', keyboard);
-        } catch (err) {
-          botLogger.warn('sendMediaGroup failed, falling back: ' + safeString(err.message));
-          try {
-            await bot.sendPhoto(chatId, imageUrls[0], { caption: text, parse_mode: 'HTML', ...keyboard });
-          } catch (err2) {
-            botLogger.warn('fallback sendPhoto also failed: ' + safeString(err2.message));
-            await bot.sendMessage(chatId, text, keyboard);
-          }
-        }
-      }
-    }
+    if (!results.length) return bot.editMessageText('No matches found.', message);
+    await showResults(message, query, results.slice(0, RESULT_LIMIT).map(item => ({ ...item, type: 'series', instance })));
   } catch (err) {
     botLogger.error('bot searchseries error: ' + safeString(err.response?.data || err.message));
     bot.sendMessage(chatId, 'Search failed — check server logs.');
   }
 });
 
+/* -------------------------
+   inline mode (@bot <title> in any chat; enable with /setinline at @BotFather)
+   ------------------------- */
+const INLINE_MIN_QUERY = 2;
+const INLINE_MAX_RESULTS = 20;
+
+// the result list shows poster + year; the posted card is a one-title result view (Details, Add)
+function inlineResult(item, query, insts) {
+  const isMovie = item.type === 'movie';
+  const view = resultView(query, [item], insts);
+  const key = saveState(view, inlineStates);
+  const preview = resultPreview(view.items[0]);
+  return {
+    type: 'article',
+    id: key,
+    title: `${isMovie ? '🎬' : '📺'} ${item.title}`,
+    description: [item.year, isMovie ? 'Movie' : 'Series', item.library ? LIBRARY_LABELS[item.library.state] : null].filter(Boolean).join(' • '),
+    thumbnail_url: preview.url,
+    input_message_content: { message_text: resultPageText(view), link_preview_options: preview },
+    reply_markup: resultKeyboard(key, view, 'I')
+  };
+}
+
+bot.on('inline_query', async (query) => {
+  const text = query.query.trim();
+  botMetric.updates.inc({ type: 'inline', name: 'search' });
+  try {
+    // personal: who may search, and the deep link for those who may not, differ per user
+    const options = { is_personal: true, cache_time: 30 };
+    // the button above the results opens the bot's private chat (/start)
+    const button = (label, param) => JSON.stringify({ text: label, start_parameter: param });
+    const user = await getTelegramUser(query.from.id);
+    if (!user || user.role === 'pending') {
+      return bot.answerInlineQuery(query.id, [], { ...options, cache_time: 0, button: button(user ? '⏳ Access request pending' : '🔒 Request access to search', 'access') });
+    }
+    if (text.length < INLINE_MIN_QUERY) return bot.answerInlineQuery(query.id, [], { ...options, button: button('Type a movie or series title', 'inline') });
+    botLogger.info(`Inline search "${text}" from ${query.from.id}`);
+    const r = await api.post('/api/search', { query: text, requester: requesterFrom(query.from, query.from.id) });
+    const { results, errors } = r.data;
+    Object.keys(errors || {}).forEach(kind => botLogger.warn(`inline search: ${kind} failed: ${errors[kind]}`));
+    const insts = await getInstances();
+    await bot.answerInlineQuery(query.id, results.slice(0, INLINE_MAX_RESULTS).map(item => inlineResult(item, text, insts)), options);
+  } catch (err) {
+    botLogger.error('inline search error: ' + safeString(err.response?.data || err.message));
+    botMetric.errors.inc({ where: 'inline' });
+    try { await bot.answerInlineQuery(query.id, [], { cache_time: 0, is_personal: true }); } catch (e) { /* query expired */ }
+  }
+});
+
+/* -------------------------
+   /status command (caller's recent requests)
+   ------------------------- */
+const STATE_ICONS = { pending: '📝', rejected: '❌', failed: '⚠️', queued: '⏳', downloading: '⬇️', imported: '✅', partial: '🧩', missing: '🔎', removed: '🗑', unknown: '❔' };
+
+function progressBar(percent, width = 10) {
+  const filled = Math.round((Math.max(0, Math.min(100, percent)) / 100) * width);
+  return '▓'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+function formatEta(p) {
+  if (p.eta) {
+    const mins = Math.max(0, Math.round((Date.parse(p.eta) - Date.now()) / 60000));
+    return mins >= 60 ? `${Math.floor(mins / 60)}h ${mins % 60}m` : `${mins}m`;
+  }
+  return p.timeLeft || null;
+}
+
+function describeProgress(p) {
+  switch (p.state) {
+    case 'downloading':
+    case 'queued': {
+      const eta = formatEta(p);
+      return `${p.state} ${progressBar(p.percent)} ${p.percent}%${eta ? ` • ETA ${eta}` : ''}`;
+    }
+    case 'imported': return `imported${p.quality ? ` (${p.quality})` : ''}${p.episodes ? ` • ${p.episodes} episodes` : ''}`;
+    case 'partial': return `partially imported • ${p.episodes} episodes`;
+    case 'missing': return p.monitored ? 'not found yet — monitored, waiting for a release' : 'missing (not monitored)';
+    case 'pending': return 'waiting for approval';
+    case 'removed': return 'no longer in the library';
+    default: return p.state;
+  }
+}
+
+bot.onText(/^\/status\b/i, async (msg) => {
+  const chatId = msg.chat.id;
+  botLogger.info(`Received /status from ${msg.from.id}`);
+  try {
+    if (!(await authorize(msg.from, chatId))) return;
+    const r = await api.get('/api/status', { params: { requester: msg.from.id, limit: 10 } });
+    if (!r.data.length) return bot.sendMessage(chatId, "You haven't requested anything yet.");
+    const lines = r.data.map(e => {
+      const label = e.title ? `${e.title}${e.year ? ` (${e.year})` : ''}` : e.id;
+      return `${STATE_ICONS[e.progress.state] || '•'} ${label}\n    ${describeProgress(e.progress)}`;
+    });
+    await bot.sendMessage(chatId, `Your recent requests:\n\n${lines.join('\n')}`);
+  } catch (err) {
+    botLogger.error('bot status error: ' + safeString(err.response?.data || err.message));
+    bot.sendMessage(chatId, 'Status lookup failed — check server logs.');
+  }
+});
+
+/* -------------------------
+   /upcoming command (release calendar of what the library has)
+   ------------------------- */
+const UPCOMING_MAX_LINES = 40;
+const RELEASE_LABELS = { cinema: 'in cinemas', digital: 'digital release', physical: 'physical release' };
+const pad2 = n => String(n).padStart(2, '0');
+
+function upcomingLine(e) {
+  if (e.type === 'movie') return `🎬 ${e.title}${e.year ? ` (${e.year})` : ''} — ${RELEASE_LABELS[e.release] || e.release}`;
+  const d = new Date(e.date);
+  return `📺 ${e.title} S${pad2(e.seasonNumber)}E${pad2(e.episodeNumber)}${e.episodeTitle ? ` “${e.episodeTitle}”` : ''} — ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+}
+
+function dayHeading(day) {
+  return new Date(`${day}T00:00:00Z`).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+}
+
+// /upcoming [days] [movies|series] — next 7 days by default
+bot.onText(/^\/upcoming(?:@\w+)?(?:\s+(\d+))?(?:\s+(movies?|series|shows?|tv))?\s*$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  botLogger.info(`Received /upcoming from ${msg.from.id}`);
+  try {
+    if (!(await authorize(msg.from, chatId))) return;
+    const days = match[1] ? Number(match[1]) : 7;
+    const type = match[2] ? (/^movie/i.test(match[2]) ? 'movie' : 'series') : undefined;
+    const r = await api.get('/api/calendar', { params: { days, type }, validateStatus: s => s < 500 });
+    if (r.status !== 200) return bot.sendMessage(chatId, r.data.error || 'Calendar lookup failed.');
+    const { entries, errors } = r.data;
+    const failed = Object.keys(errors || {});
+    const warning = failed.length ? `\n\n⚠️ Unavailable: ${failed.join(', ')}` : '';
+    const what = type === 'movie' ? 'movie releases' : type === 'series' ? 'episodes' : 'releases';
+    if (!entries.length) return bot.sendMessage(chatId, `Nothing in the library comes out in the next ${days} day${days === 1 ? '' : 's'}.${warning}`);
+    const lines = [];
+    let lastDay = null;
+    for (const e of entries.slice(0, UPCOMING_MAX_LINES)) {
+      if (e.day !== lastDay) lines.push(`${lastDay ? '\n' : ''}${dayHeading(e.day)}`);
+      lastDay = e.day;
+      lines.push(upcomingLine(e));
+    }
+    const more = entries.length > UPCOMING_MAX_LINES ? `\n\n…and ${entries.length - UPCOMING_MAX_LINES} more — try fewer days.` : '';
+    await bot.sendMessage(chatId, `📅 Upcoming ${what}, next ${days} day${days === 1 ? '' : 's'}:\n\n${lines.join('\n')}${more}${warning}`);
+  } catch (err) {
+    botLogger.error('bot upcoming error: ' + safeString(err.response?.data || err.message));
+    bot.sendMessage(chatId, 'Calendar lookup failed — check server logs.');
+  }
+});
+
+/* -------------------------
+   /history command (own activity; admins see everyone's or one user's)
+   ------------------------- */
+const HISTORY_ICONS = { search: '🔍', request: '📝', approve: '👍', reject: '👎', add: '➕', 'library.update': '🛠', 'library.search': '🔎', 'library.monitor': '👁', 'library.upgrade': '⬆️', 'library.delete': '🗑', 'user.update': '🔑', 'user.revoke': '🚫', login: '🔐',
+  'account.create': '👤', 'account.update': '👤', 'account.delete': '👤', 'token.create': '🎟', 'token.revoke': '🎟' };
+
+function historyLine(e) {
+  const t = e.target || {};
+  const what = t.title ? `${t.title}${t.year ? ` (${t.year})` : ''}` : t.query ? `"${t.query}"` : t.username ? '@' + t.username : t.id || t.requestId || '';
+  const who = e.actor.source === 'telegram' ? (e.actor.username ? '@' + e.actor.username : e.actor.id) : e.actor.username || e.source;
+  const when = e.at.slice(5, 16).replace('T', ' ');
+  return `${HISTORY_ICONS[e.action] || '•'} ${when} ${e.action} ${what} → ${e.result} (${who})`;
+}
+
+// /history [@username|id] — the argument is admin-only
+bot.onText(/^\/history(?:@\w+)?(?:\s+(\S+))?/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  botLogger.info(`Received /history from ${msg.from.id}`);
+  try {
+    const user = await authorize(msg.from, chatId);
+    if (!user) return;
+    const admin = user.role === 'admin';
+    if (match[1] && !admin) return bot.sendMessage(chatId, "Only admins can look at other users' history.");
+    const actor = admin ? match[1] : msg.from.id;
+    const r = await api.get('/api/history', { params: { actor, limit: 15 } });
+    if (!r.data.items.length) return bot.sendMessage(chatId, 'No history yet.');
+    const heading = actor ? (actor === msg.from.id ? 'Your recent activity' : `Recent activity of ${actor}`) : 'Recent activity';
+    await bot.sendMessage(chatId, `${heading} (${r.data.items.length} of ${r.data.total}):\n\n${r.data.items.map(historyLine).join('\n')}`);
+  } catch (err) {
+    botLogger.error('bot history error: ' + safeString(err.response?.data || err.message));
+    bot.sendMessage(chatId, 'History lookup failed — check server logs.');
+  }
+});
+
+/* -------------------------
+   /start, /me and admin user commands
+   ------------------------- */
+bot.onText(/^\/start\b/i, async (msg) => {
+  const chatId = msg.chat.id;
+  try {
+    const user = await authorize(msg.from, chatId);
+    if (!user) return;
+    const adminHelp = user.role === 'admin' ? '\nAdmins: /library [movies|series] [title] to manage the library, /history [@user], /health, /users, /grant, /revoke, /quota.' : '';
+    const me = await bot.getMe();
+    await bot.sendMessage(chatId, `Hi! You're registered as ${user.role}.\nUse /search <title> (or /searchmovie, /searchseries), /status to follow your requests, /upcoming [days] for release dates and /history for your activity.\nIn any other chat, type @${me.username} <title> to share a title with an Add button.${adminHelp}`);
+  } catch (err) {
+    botLogger.error('bot start error: ' + safeString(err.response?.data || err.message));
+  }
+});
+
+bot.onText(/^\/me\b/i, async (msg) => {
+  const chatId = msg.chat.id;
+  try {
+    const user = await authorize(msg.from, chatId);
+    if (!user) return;
+    await bot.sendMessage(chatId, `Role: ${user.role}\nQuota: ${formatQuota(user)}`);
+  } catch (err) {
+    botLogger.error('bot me error: ' + safeString(err.response?.data || err.message));
+    bot.sendMessage(chatId, 'Lookup failed — check server logs.');
+  }
+});
+
+// shared guard for the admin-only commands below
+async function requireAdmin(msg) {
+  if (await isAdmin(msg.from)) return true;
+  await bot.sendMessage(msg.chat.id, 'Only admins can do that.');
+  return false;
+}
+
+bot.onText(/^\/users\b/i, async (msg) => {
+  const chatId = msg.chat.id;
+  try {
+    if (!(await requireAdmin(msg))) return;
+    const r = await api.get('/api/telegram/users');
+    if (!r.data.length) return bot.sendMessage(chatId, 'No users registered.');
+    const lines = r.data.map(u => `${u.id} ${u.username ? '@' + u.username : u.name || ''} — ${u.role}${u.role === 'pending' ? '' : ` — ${formatQuota(u)}`}`);
+    await bot.sendMessage(chatId, lines.join('\n'));
+  } catch (err) {
+    botLogger.error('bot users error: ' + safeString(err.response?.data || err.message));
+    bot.sendMessage(chatId, 'Failed to list users — check server logs.');
+  }
+});
+
+// /grant <id|@username> [admin|trusted|requester]
+bot.onText(/^\/grant(?:@\w+)?\s+(\S+)(?:\s+(\w+))?/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const [, ref, role = 'requester'] = match;
+  try {
+    if (!(await requireAdmin(msg))) return;
+    const r = await api.put(`/api/telegram/users/${encodeURIComponent(ref)}`, { role: role.toLowerCase(), by: requesterFrom(msg.from, chatId) }, { validateStatus: s => s < 500 });
+    if (r.status !== 200) return bot.sendMessage(chatId, `Grant failed: ${r.data.error}`);
+    userCache.delete(String(r.data.id));
+    await bot.sendMessage(chatId, `✅ ${ref} is now ${r.data.role}`);
+    botLogger.info(`User ${r.data.id} granted ${r.data.role} by ${msg.from.id}`);
+  } catch (err) {
+    botLogger.error('bot grant error: ' + safeString(err.response?.data || err.message));
+    bot.sendMessage(chatId, 'Grant failed — check server logs.');
+  }
+});
+
+// /revoke <id|@username>
+bot.onText(/^\/revoke(?:@\w+)?\s+(\S+)/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const ref = match[1];
+  try {
+    if (!(await requireAdmin(msg))) return;
+    const r = await api.delete(`/api/telegram/users/${encodeURIComponent(ref)}`, { data: { by: requesterFrom(msg.from, chatId) }, validateStatus: s => s < 500 });
+    if (r.status !== 200) return bot.sendMessage(chatId, `Revoke failed: ${r.data.error}`);
+    userCache.delete(String(r.data.user.id));
+    await bot.sendMessage(chatId, `🚫 Access revoked for ${ref}`);
+    botLogger.info(`User ${r.data.user.id} revoked by ${msg.from.id}`);
+  } catch (err) {
+    botLogger.error('bot revoke error: ' + safeString(err.response?.data || err.message));
+    bot.sendMessage(chatId, 'Revoke failed — check server logs.');
+  }
+});
+
+// /quota <id|@username> <movies|-> <series|-> — "-" falls back to the role default
+bot.onText(/^\/quota(?:@\w+)?\s+(\S+)\s+(\S+)\s+(\S+)/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const [, ref, movies, series] = match;
+  const parse = v => (v === '-' ? null : Number(v));
+  try {
+    if (!(await requireAdmin(msg))) return;
+    if ([movies, series].some(v => v !== '-' && !/^\d+$/.test(v))) return bot.sendMessage(chatId, 'Usage: /quota <id|@username> <movies|-> <series|->');
+    const r = await api.put(`/api/telegram/users/${encodeURIComponent(ref)}`, { quota: { movies: parse(movies), series: parse(series) } }, { validateStatus: s => s < 500 });
+    if (r.status !== 200) return bot.sendMessage(chatId, `Quota update failed: ${r.data.error}`);
+    userCache.delete(String(r.data.id));
+    await bot.sendMessage(chatId, `✅ Quota for ${ref}: ${formatQuota(r.data)}`);
+  } catch (err) {
+    botLogger.error('bot quota error: ' + safeString(err.response?.data || err.message));
+    bot.sendMessage(chatId, 'Quota update failed — check server logs.');
+  }
+});
+
+const HEALTH_ICONS = { ok: '✅', warning: '⚠️', error: '❌', disabled: '➖' };
+
+// /health — full diagnostics (uncached), one line per check plus its problems
+bot.onText(/^\/health\b/i, async (msg) => {
+  const chatId = msg.chat.id;
+  try {
+    if (!(await requireAdmin(msg))) return;
+    const { data: d } = await api.get('/api/diagnostics', { params: { fresh: true } });
+    const block = (icon, head, problems) => [`${icon} ${head}`, ...problems.map(p => `   • ${p}`)].join('\n');
+    const lines = [`${HEALTH_ICONS[d.status]} RRR ${d.version} — ${d.status}`, ''];
+    d.instances.forEach(i => lines.push(block(HEALTH_ICONS[i.status],
+      `${i.name}${i.version ? ` v${i.version}` : ''} — ${i.latencyMs}ms`, i.problems)));
+    lines.push(block(HEALTH_ICONS[d.telegram.status], `Telegram${d.telegram.username ? ` @${d.telegram.username}` : ''}`, d.telegram.problems));
+    d.disks.forEach(x => lines.push(block(HEALTH_ICONS[x.status], `Disk ${x.label}${x.free != null ? ` — ${formatBytes(x.free)} free` : ''}`, x.problems)));
+    await bot.sendMessage(chatId, lines.join('\n'));
+  } catch (err) {
+    botLogger.error('bot health error: ' + safeString(err.response?.data || err.message));
+    bot.sendMessage(chatId, 'Diagnostics failed — the server itself may be down, check its logs.');
+  }
+});
+
+/* -------------------------
+   request helpers
+   ------------------------- */
+// what POST /api/requests answered, for the requester
+function requestReplyText(data) {
+  if (data.reason === 'quota') {
+    const kind = data.quota.movies != null && data.usage.movies >= data.quota.movies ? 'movie' : 'series';
+    return `⛔ You've reached your ${kind} request limit (${formatQuota(data)}). Try again later.`;
+  }
+  if (data.reason === 'forbidden') return "Sorry, you don't have access to request titles.";
+  const req = data.request;
+  const label = req.title ? `${req.title}${req.year ? ` (${req.year})` : ''}` : (req.tmdbId || req.tvdbId || req.imdbId);
+  if (data.autoApproved) return describeDecision(req, null);
+  if (data.created) return `📝 Request submitted: ${label}\nYou'll get a message once an admin approves or rejects it.`;
+  if (data.reason === 'duplicate') return `ℹ️ ${label} is already waiting for approval.`;
+  return `Request returned: ${JSON.stringify(data)}`;
+}
+
+async function replyToRequest(chatId, data) {
+  return bot.sendMessage(chatId, requestReplyText(data), existsMarkup(data.request));
+}
+
+// from = the deciding admin, or null for requests that were auto-approved
+function describeDecision(req, from) {
+  const by = from ? ` by ${from.username ? '@' + from.username : from.first_name || from.id}` : '';
+  const label = req.title || req.tmdbId || req.tvdbId || req.id;
+  if (req.status === 'rejected') return `❌ ${label} rejected${by}`;
+  if (req.status === 'failed') return `⚠️ ${label} approved${by} but the add failed: ${req.result && req.result.error}`;
+  if (req.result && req.result.reason === 'exists') {
+    return `${from ? `ℹ️ ${label} approved${by} — already in library` : `ℹ️ Already exists: ${label}`}${existingLines(req.result.existing)}`;
+  }
+  return from ? `✅ ${label} approved${by} and added` : `✅ Added: ${label}`;
+}
+
+/* -------------------------
+   "already exists" actions (monitor, search, missing episodes, upgrade to another quality profile)
+   ------------------------- */
+// the server answers an add of something already there with a snapshot of it (state, monitored, profile, episodes)
+function existingLines(existing) {
+  if (!existing) return '';
+  const facts = [existing.episodes ? `${existing.episodes} episodes` : null, existing.quality, existing.qualityProfile ? `profile ${existing.qualityProfile}` : null].filter(Boolean);
+  return `\n${LIBRARY_LABELS[existing.state] || 'In library'}${facts.length ? `\n${facts.join(' • ')}` : ''}`;
+}
+
+// state = { kind, instance, title, existing, profiles? } — profiles once Upgrade… was opened
+function existsKeyboard(key, state) {
+  const { existing } = state;
+  const cb = (...parts) => ['X', key, ...parts].join('|');
+  const row = [];
+  if (!existing.monitored) row.push({ text: '👁 Monitor', callback_data: cb('m') });
+  row.push({ text: '🔎 Search', callback_data: cb('s') });
+  if (state.kind === 'sonarr' && (existing.state === 'partial' || existing.state === 'missing')) row.push({ text: '🧩 Missing only', callback_data: cb('e') });
+  const more = [{ text: '⬆️ Upgrade…', callback_data: cb('u') }];
+  if (usableUrl(existing.url)) more.push({ text: '🔗 Open', url: existing.url });
+  return { inline_keyboard: [row, more] };
+}
+
+// buttons for a request that ended as "already exists"; {} for anything else
+function existsMarkup(req) {
+  const existing = req && req.result && req.result.reason === 'exists' && req.result.existing;
+  if (!existing) return {};
+  const state = { kind: req.type === 'movie' ? 'radarr' : 'sonarr', instance: req.instance, title: req.title, existing: { ...existing } };
+  const key = saveState(state);
+  return { reply_markup: existsKeyboard(key, state) };
+}
+
+async function handleExistsCallback(query, [key, op, arg], chatId) {
+  const state = loadState(key);
+  if (!state) {
+    try { await bot.editMessageReplyMarkup({ inline_keyboard: [] }, callbackMessage(query)); } catch (e) { /* already gone */ }
+    return bot.answerCallbackQuery(query.id, { text: 'These buttons expired.', show_alert: true });
+  }
+  const user = await authorizeCallback(query, chatId);
+  if (!user) return;
+  if (op === 'u' && user.role !== 'admin') return bot.answerCallbackQuery(query.id, { text: 'Only admins can change the quality profile', show_alert: true });
+  if (user.role !== 'admin' && user.role !== 'trusted') return bot.answerCallbackQuery(query.id, { text: 'Only trusted users can do that', show_alert: true });
+  const showKeyboard = async keyboard => {
+    try { await bot.editMessageReplyMarkup(keyboard, callbackMessage(query)); } catch (e) { botLogger.warn('editMessageReplyMarkup failed: ' + safeString(e.message)); }
+  };
+  if (op === 'b') {
+    await showKeyboard(existsKeyboard(key, state));
+    return bot.answerCallbackQuery(query.id);
+  }
+  if (op === 'u' && arg === undefined) {
+    const { data: meta } = await api.get(`/api/${state.kind}/meta`, { params: { instance: state.instance } });
+    state.profiles = meta.qualityProfiles.map(p => ({ id: p.id, name: p.name }));
+    const rows = state.profiles.map((p, i) => [{ text: `${p.id === state.existing.qualityProfileId ? '✓' : '🎚'} ${p.name}`, callback_data: `X|${key}|u|${i}` }]);
+    rows.push([{ text: '↩️ Back', callback_data: `X|${key}|b` }]);
+    await showKeyboard({ inline_keyboard: rows });
+    return bot.answerCallbackQuery(query.id);
+  }
+  const base = `/api/library/${state.kind}/${state.existing.id}`;
+  const body = { instance: state.instance, title: state.title, by: requesterFrom(query.from, chatId) };
+  const opts = { validateStatus: s => s < 500 };
+  let r;
+  let done;
+  if (op === 'm') {
+    r = await api.post(`${base}/monitor`, body, opts);
+    done = '👁 Monitored';
+  } else if (op === 's' || op === 'e') {
+    r = await api.post(`${base}/search`, { ...body, missing: op === 'e' }, opts);
+    done = op === 'e' ? '🧩 Searching for missing episodes' : '🔎 Search started';
+  } else if (op === 'u') {
+    const profile = (state.profiles || [])[Number(arg)];
+    if (!profile) return bot.answerCallbackQuery(query.id, { text: 'Unknown profile' });
+    r = await api.post(`${base}/upgrade`, { ...body, qualityProfileId: profile.id }, opts);
+    done = `⬆️ ${profile.name} — search started`;
+  } else {
+    return bot.answerCallbackQuery(query.id, { text: 'Unknown action' });
+  }
+  botLogger.info(`Exists action ${op} on ${state.kind}/${state.existing.id} by ${query.from.id}: ${r.status}`);
+  if (r.status !== 200) return bot.answerCallbackQuery(query.id, { text: r.data.error || 'Failed', show_alert: true });
+  if (op === 'm' || op === 'u') {
+    Object.assign(state.existing, { monitored: r.data.monitored, state: r.data.state, qualityProfileId: r.data.qualityProfileId, qualityProfile: r.data.qualityProfile });
+    await showKeyboard(existsKeyboard(key, state));
+  }
+  return bot.answerCallbackQuery(query.id, { text: done });
+}
+
+/* -------------------------
+   add wizard (root folder → quality profile → monitor → confirm)
+   ------------------------- */
+const WIZARD_TTL_MS = 15 * 60 * 1000;
+const wizards = new Map();
+
+const MONITOR_OPTIONS = [
+  { key: 'y', label: '👁 Monitored', monitored: true },
+  { key: 'n', label: '🙈 Unmonitored', monitored: false }
+];
+
+// Sonarr monitoring strategies (see SERIES_MONITOR_MODES in server.js)
+const SERIES_MONITOR_OPTIONS = [
+  { key: 'a', label: 'All episodes', monitor: 'all' },
+  { key: 'f', label: 'Future episodes', monitor: 'future' },
+  { key: 'm', label: 'Missing episodes', monitor: 'missing' },
+  { key: 'e', label: 'Existing episodes', monitor: 'existing' },
+  { key: '1', label: 'First season', monitor: 'firstSeason' },
+  { key: 'l', label: 'Latest season', monitor: 'latestSeason' },
+  { key: 's', label: 'Specific seasons', monitor: 'seasons' },
+  { key: 'n', label: 'None', monitor: 'none' }
+];
+const SERIES_TYPE_OPTIONS = [
+  { key: 's', label: 'Standard', seriesType: 'standard' },
+  { key: 'a', label: 'Anime', seriesType: 'anime' },
+  { key: 'd', label: 'Daily', seriesType: 'daily' }
+];
+
+function formatBytes(n) {
+  if (!n && n !== 0) return '?';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  let i = 0;
+  while (n >= 1024 && i < units.length - 1) { n /= 1024; i++; }
+  return `${n.toFixed(i >= 3 ? 1 : 0)} ${units[i]}`;
+}
+
+function wizardTitle(w) {
+  const b = w.body;
+  return b.title ? `${b.title}${b.year ? ` (${b.year})` : ''}` : (b.tmdbId || b.tvdbId || b.imdbId);
+}
+
+function describeChoice(w, choice) {
+  const byRule = field => w.route && field in w.ruleChoice && !choice[field];
+  const profileId = byRule('qualityProfileId') ? w.route.qualityProfileId : choice.qualityProfileId;
+  const profile = w.meta.qualityProfiles.find(q => String(q.id) === String(profileId));
+  const lines = [
+    `Target: ${w.meta.instance.name}`,
+    `Root: ${byRule('rootFolderPath') ? `${w.route.rootFolderPath} (rule)` : choice.rootFolderPath || 'server default'}`,
+    `Profile: ${profile ? profile.name : 'server default'}${byRule('qualityProfileId') ? ' (rule)' : ''}`,
+    `Monitor: ${choice.monitored === false ? 'no' : 'yes'}`
+  ];
+  if (w.kind === 'sonarr') {
+    const mode = SERIES_MONITOR_OPTIONS.find(o => o.monitor === (choice.monitor || 'all'));
+    const seasons = choice.monitor === 'seasons' ? ` (${(choice.seasons || []).map(n => 'S' + n).join(', ') || 'none'})` : '';
+    lines[3] = `Monitor: ${mode ? mode.label : choice.monitor}${seasons}`;
+    lines.push(`Type: ${choice.seriesType || 'standard'}`, `Search missing on add: ${choice.searchForMissingEpisodes === false ? 'no' : 'yes'}`);
+  }
+  if (w.route) lines.push(`📐 Rule: ${w.route.rule.name}${w.route.tags.length ? ` • tags: ${w.route.tags.join(', ')}` : ''}`);
+  return lines.join('\n');
+}
+
+// saved defaults only count if the folder/profile still exist on that instance
+function validSavedChoice(w) {
+  const saved = w.saved;
+  if (!saved) return null;
+  if (saved.rootFolderPath && !w.meta.rootFolders.some(f => f.path === saved.rootFolderPath)) return null;
+  if (saved.qualityProfileId && !w.meta.qualityProfiles.some(q => String(q.id) === String(saved.qualityProfileId))) return null;
+  return saved;
+}
+
+// next unanswered step; single-option steps are answered automatically
+function nextWizardStep(w) {
+  const { choice, meta } = w;
+  if (!('rootFolderPath' in choice)) {
+    if (meta.rootFolders.length > 1) return 'root';
+    choice.rootFolderPath = meta.rootFolders[0] ? meta.rootFolders[0].path : undefined;
+  }
+  if (!('qualityProfileId' in choice)) {
+    if (meta.qualityProfiles.length > 1) return 'profile';
+    choice.qualityProfileId = meta.qualityProfiles[0] ? meta.qualityProfiles[0].id : undefined;
+  }
+  if (w.kind === 'sonarr') {
+    if (!('monitor' in choice)) return 'monitor';
+    if (choice.monitor === 'seasons' && !choice.seasonsDone) return 'seasons';
+    if (!('seriesType' in choice)) return 'stype';
+    if (!('searchForMissingEpisodes' in choice)) return 'search';
+    return 'confirm';
+  }
+  if (!('monitored' in choice)) return 'monitor';
+  return 'confirm';
+}
+
+function renderWizard(w) {
+  const cb = (...parts) => ['W', w.id, ...parts].join('|');
+  const cancel = [{ text: '✖ Cancel', callback_data: cb('x') }];
+  const title = wizardTitle(w);
+  // ⭐ marks the instance default set on the settings page
+  const serverDefaults = w.meta.defaults || {};
+  switch (w.step) {
+    case 'defaults':
+      return {
+        text: `Request ${title}?\n\nYour defaults:\n${describeChoice(w, { ...w.saved, ...w.ruleChoice })}`,
+        keyboard: [[{ text: '✅ Use my defaults', callback_data: cb('d') }, { text: '⚙️ Choose', callback_data: cb('c') }], cancel]
+      };
+    case 'root':
+      return {
+        text: `${title}\nChoose a root folder:`,
+        keyboard: [...w.meta.rootFolders.map((f, i) => [{ text: `📁 ${f.path} (${formatBytes(f.freeSpace)} free)${f.path === serverDefaults.rootFolderPath ? ' ⭐' : ''}`, callback_data: cb('r', i) }]), cancel]
+      };
+    case 'profile':
+      return {
+        text: `${title}\nChoose a quality profile:`,
+        keyboard: [...w.meta.qualityProfiles.map((q, i) => [{ text: `🎚 ${q.name}${q.id === serverDefaults.qualityProfileId ? ' ⭐' : ''}`, callback_data: cb('p', i) }]), cancel]
+      };
+    case 'monitor':
+      if (w.kind === 'sonarr') {
+        const options = SERIES_MONITOR_OPTIONS.filter(o => o.monitor !== 'seasons' || w.seasons.length);
+        const rows = [];
+        for (let i = 0; i < options.length; i += 2) rows.push(options.slice(i, i + 2).map(o => ({ text: o.label, callback_data: cb('m', o.key) })));
+        return { text: `${title}\nWhich episodes should be monitored?`, keyboard: [...rows, cancel] };
+      }
+      return {
+        text: `${title}\nMonitor it?`,
+        keyboard: [MONITOR_OPTIONS.map(o => ({ text: o.label, callback_data: cb('m', o.key) })), cancel]
+      };
+    case 'seasons': {
+      const picked = new Set(w.choice.seasons || []);
+      const buttons = w.seasons.map(n => ({ text: `${picked.has(n) ? '✅' : '⬜'} S${String(n).padStart(2, '0')}`, callback_data: cb('t', n) }));
+      const rows = [];
+      for (let i = 0; i < buttons.length; i += 4) rows.push(buttons.slice(i, i + 4));
+      return { text: `${title}\nTap seasons to toggle, then Done:`, keyboard: [...rows, [{ text: '➡️ Done', callback_data: cb('sd') }], cancel] };
+    }
+    case 'stype':
+      return {
+        text: `${title}\nSeries type?`,
+        keyboard: [SERIES_TYPE_OPTIONS.map(o => ({ text: o.label, callback_data: cb('y', o.key) })), cancel]
+      };
+    case 'search':
+      return {
+        text: `${title}\nSearch for missing episodes right after adding?`,
+        keyboard: [[{ text: '🔎 Yes', callback_data: cb('q', 1) }, { text: 'Not now', callback_data: cb('q', 0) }], cancel]
+      };
+    default:
+      return {
+        text: `Request ${title}?\n\n${describeChoice(w, w.choice)}`,
+        keyboard: [[{ text: '✅ Submit', callback_data: cb('s') }, { text: '↩️ Start over', callback_data: cb('c') }], cancel]
+      };
+  }
+}
+
+// where a pressed button's message is; inline cards (posted via inline mode) only have an inline_message_id
+function callbackMessage(query) {
+  return query.inline_message_id ? { inline_message_id: query.inline_message_id } : { chat_id: query.message.chat.id, message_id: query.message.message_id };
+}
+
+// the wizard gets its own message under a search result; on an inline card it takes over the card
+async function showWizard(w) {
+  const { text, keyboard } = renderWizard(w);
+  const markup = { reply_markup: { inline_keyboard: keyboard } };
+  if (!w.message) {
+    const m = await bot.sendMessage(w.chatId, text, markup);
+    w.message = { chat_id: w.chatId, message_id: m.message_id };
+  } else {
+    await bot.editMessageText(text, { ...w.message, ...markup });
+  }
+}
+
+async function closeWizard(w, text, extra = {}) {
+  wizards.delete(w.id);
+  try { await bot.editMessageText(text, { ...w.message, ...extra }); } catch (e) { botLogger.warn('closeWizard edit failed: ' + safeString(e.message)); }
+}
+
+async function startAddWizard(query, body, item = {}) {
+  const inline = !!query.inline_message_id;
+  const chatId = inline ? query.from.id : query.message.chat.id;
+  const kind = body.type === 'movie' ? 'radarr' : 'sonarr';
+  // a routing rule's instance wins over the single "request" button; on its instance the folder/profile it sets aren't asked
+  const route = item.route && !item.library ? item.route : null;
+  if (route && route.instance && !body.instance) body.instance = route.instance;
+  const ruleChoice = {};
+  if (route && (!route.instance || route.instance === body.instance)) {
+    if (route.rootFolderPath) ruleChoice.rootFolderPath = undefined;
+    if (route.qualityProfileId) ruleChoice.qualityProfileId = undefined;
+  }
+  const [metaRes, user] = await Promise.all([
+    api.get(`/api/${kind}/meta`, { params: { instance: body.instance } }),
+    getTelegramUser(query.from.id)
+  ]);
+  const meta = metaRes.data;
+  for (const [key, val] of wizards) if (Date.now() - val.createdAt > WIZARD_TTL_MS) wizards.delete(key);
+  const w = {
+    id: crypto.randomBytes(3).toString('hex'),
+    chatId,
+    userId: query.from.id,
+    kind,
+    body,
+    meta,
+    route,
+    ruleChoice,
+    choice: { ...ruleChoice },
+    seasons: (item.seasons || []).filter(n => n > 0),
+    message: inline ? callbackMessage(query) : null,
+    inline,
+    saved: user && user.prefs && user.prefs[kind] ? user.prefs[kind][meta.instance.key] : null,
+    createdAt: Date.now()
+  };
+  w.saved = validSavedChoice(w);
+  w.step = w.saved ? 'defaults' : nextWizardStep(w);
+  wizards.set(w.id, w);
+  await showWizard(w);
+}
+
+async function submitWizard(w, from) {
+  const choice = { rootFolderPath: w.choice.rootFolderPath, qualityProfileId: w.choice.qualityProfileId, monitored: w.choice.monitored };
+  if (w.kind === 'sonarr') {
+    Object.assign(choice, { monitor: w.choice.monitor, seriesType: w.choice.seriesType, searchForMissingEpisodes: w.choice.searchForMissingEpisodes });
+    if (choice.monitor === 'seasons') choice.seasons = w.choice.seasons;
+  }
+  const r = await api.post('/api/requests', { ...w.body, ...choice }, { validateStatus: s => s < 500 });
+  // an inline card is in someone else's chat: the outcome goes on the card, where whoever picked it can see it
+  if (w.inline) await closeWizard(w, `${wizardTitle(w)}\n\n${describeChoice(w, choice)}\n\n${requestReplyText(r.data)}`, existsMarkup(r.data.request));
+  else {
+    await closeWizard(w, `${wizardTitle(w)}\n\n${describeChoice(w, choice)}`);
+    await replyToRequest(w.chatId, r.data);
+  }
+  botLogger.info(`${w.body.type} request ${wizardTitle(w)} -> ${r.data.created ? r.data.request.id : r.data.reason}`);
+  // remember this as the user's default for the instance
+  try {
+    await api.put(`/api/telegram/users/${from.id}/prefs`, { kind: w.kind, instance: w.meta.instance.key, ...choice });
+    userCache.delete(String(from.id));
+  } catch (err) {
+    botLogger.warn('Saving add defaults failed: ' + safeString(err.response?.data || err.message));
+  }
+}
+
+async function handleWizardCallback(query, [wid, op, arg]) {
+  const w = wizards.get(wid);
+  if (!w || Date.now() - w.createdAt > WIZARD_TTL_MS) {
+    if (w) wizards.delete(wid);
+    try { await bot.editMessageReplyMarkup({ inline_keyboard: [] }, callbackMessage(query)); } catch (e) { /* already gone */ }
+    return bot.answerCallbackQuery(query.id, { text: 'This request expired — search again.', show_alert: true });
+  }
+  if (String(query.from.id) !== String(w.userId)) return bot.answerCallbackQuery(query.id, { text: 'Someone else started this request.' });
+  const i = Number(arg);
+  if (op === 'x') { await closeWizard(w, `Cancelled: ${wizardTitle(w)}`); return bot.answerCallbackQuery(query.id); }
+  if (op === 'd') { w.choice = { ...w.saved, ...w.ruleChoice }; await submitWizard(w, query.from); return bot.answerCallbackQuery(query.id); }
+  if (op === 's') { await submitWizard(w, query.from); return bot.answerCallbackQuery(query.id); }
+  if (op === 'c') w.choice = { ...w.ruleChoice };
+  else if (op === 'r' && w.meta.rootFolders[i]) w.choice.rootFolderPath = w.meta.rootFolders[i].path;
+  else if (op === 'p' && w.meta.qualityProfiles[i]) w.choice.qualityProfileId = w.meta.qualityProfiles[i].id;
+  else if (op === 'm' && w.kind === 'sonarr') {
+    const opt = SERIES_MONITOR_OPTIONS.find(o => o.key === arg) || SERIES_MONITOR_OPTIONS[0];
+    w.choice.monitor = opt.monitor;
+    w.choice.monitored = opt.monitor !== 'none';
+    if (opt.monitor === 'seasons') w.choice.seasons = [...w.seasons];
+  }
+  else if (op === 'm') w.choice.monitored = (MONITOR_OPTIONS.find(o => o.key === arg) || MONITOR_OPTIONS[0]).monitored;
+  else if (op === 't') {
+    const picked = new Set(w.choice.seasons || []);
+    if (picked.has(i)) picked.delete(i); else picked.add(i);
+    w.choice.seasons = [...picked].sort((a, b) => a - b);
+  }
+  else if (op === 'sd') {
+    if (!(w.choice.seasons || []).length) return bot.answerCallbackQuery(query.id, { text: 'Pick at least one season.' });
+    w.choice.seasonsDone = true;
+  }
+  else if (op === 'y') w.choice.seriesType = (SERIES_TYPE_OPTIONS.find(o => o.key === arg) || SERIES_TYPE_OPTIONS[0]).seriesType;
+  else if (op === 'q') w.choice.searchForMissingEpisodes = arg === '1';
+  w.step = nextWizardStep(w);
+  await showWizard(w);
+  return bot.answerCallbackQuery(query.id);
+}
+
+/* -------------------------
+   /library (admin: browse and manage what Radarr/Sonarr have)
+   ------------------------- */
+const LIBRARY_PAGE_SIZE = 8;
+const libraryViews = new Map();
+
+function libraryItemText(it) {
+  const lines = [`${it.title}${it.year ? ` (${it.year})` : ''}`, LIBRARY_LABELS[it.state] || it.state];
+  const facts = [formatBytes(it.size || 0), it.quality, it.episodes ? `${it.episodes} episodes` : null, it.qualityProfile ? `profile: ${it.qualityProfile}` : null].filter(Boolean);
+  lines.push(facts.join(' • '));
+  return lines.join('\n');
+}
+
+function libraryItemKeyboard(v, it) {
+  return [
+    [
+      { text: it.monitored ? '🙈 Unmonitor' : '👁 Monitor', callback_data: `LM|${v.id}|${it.id}|${it.monitored ? 0 : 1}` },
+      { text: '🔎 Search', callback_data: `LS|${v.id}|${it.id}` },
+      { text: '🎚 Profile', callback_data: `LQ|${v.id}|${it.id}` }
+    ],
+    [
+      { text: '🗑 Delete', callback_data: `LD|${v.id}|${it.id}|0` },
+      { text: '🗑 Delete + files', callback_data: `LD|${v.id}|${it.id}|1` }
+    ]
+  ];
+}
+
+async function showLibraryPage(v, page) {
+  const r = await api.get(`/api/library/${v.kind === 'radarr' ? 'movies' : 'series'}`, { params: { q: v.q || undefined, page, pageSize: LIBRARY_PAGE_SIZE, sort: v.sort } });
+  const data = r.data;
+  v.page = data.page;
+  v.profiles = data.qualityProfiles;
+  data.items.forEach(it => v.items.set(it.id, it));
+  const header = `${v.kind === 'radarr' ? '🎬 Movies' : '📺 Series'}${v.q ? ` matching "${v.q}"` : ''} — ${data.total} titles, page ${data.page}/${data.pages}`;
+  const lines = data.items.map((it, i) => `${i + 1}. ${it.title}${it.year ? ` (${it.year})` : ''} — ${(LIBRARY_LABELS[it.state] || it.state).split(' — ').pop()} • ${formatBytes(it.size || 0)}`);
+  const keyboard = [];
+  for (let i = 0; i < data.items.length; i += 4) {
+    keyboard.push(data.items.slice(i, i + 4).map((it, j) => ({ text: `${i + j + 1}`, callback_data: `LI|${v.id}|${it.id}` })));
+  }
+  const nav = [];
+  if (data.page > 1) nav.push({ text: '‹ Prev', callback_data: `LP|${v.id}|${data.page - 1}` });
+  if (data.page < data.pages) nav.push({ text: 'Next ›', callback_data: `LP|${v.id}|${data.page + 1}` });
+  if (nav.length) keyboard.push(nav);
+  const text = data.items.length ? `${header}\n\n${lines.join('\n')}` : `${header}\n\nNothing found.`;
+  const markup = { reply_markup: { inline_keyboard: keyboard } };
+  if (!v.messageId) v.messageId = (await bot.sendMessage(v.chatId, text, markup)).message_id;
+  else await bot.editMessageText(text, { chat_id: v.chatId, message_id: v.messageId, ...markup });
+}
+
+// captions on photo cards, text otherwise
+async function editLibraryCard(message, text, keyboard) {
+  const opts = { chat_id: message.chat.id, message_id: message.message_id, reply_markup: { inline_keyboard: keyboard } };
+  try {
+    if (message.photo) await bot.editMessageCaption(text, opts);
+    else await bot.editMessageText(text, opts);
+  } catch (e) { botLogger.warn('library card edit failed: ' + safeString(e.message)); }
+}
+
+// /library [movies|series] [title filter]
+bot.onText(/^\/library(?:@\w+)?(?:\s+(movies?|series|shows?|tv))?(?:\s+(.+))?$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    if (!(await requireAdmin(msg))) return;
+    for (const [key, val] of libraryViews) if (Date.now() - val.createdAt > WIZARD_TTL_MS) libraryViews.delete(key);
+    const v = {
+      id: crypto.randomBytes(3).toString('hex'),
+      chatId,
+      kind: match[1] && !/^movie/i.test(match[1]) ? 'sonarr' : 'radarr',
+      q: match[2] ? match[2].trim() : null,
+      sort: 'title',
+      items: new Map(),
+      createdAt: Date.now()
+    };
+    libraryViews.set(v.id, v);
+    await showLibraryPage(v, 1);
+  } catch (err) {
+    botLogger.error('bot library error: ' + safeString(err.response?.data || err.message));
+    bot.sendMessage(chatId, 'Library unavailable — check server logs.');
+  }
+});
+
+async function handleLibraryCallback(query, [action, vid, arg, extra]) {
+  const v = libraryViews.get(vid);
+  if (!v) return bot.answerCallbackQuery(query.id, { text: 'This list expired — run /library again.', show_alert: true });
+  if (!(await isAdmin(query.from))) return bot.answerCallbackQuery(query.id, { text: 'Only admins can do that', show_alert: true });
+  const by = requesterFrom(query.from, query.message.chat.id);
+  const kindPath = `/api/library/${v.kind}/${arg}`;
+  const it = v.items.get(Number(arg));
+
+  if (action === 'LP') {
+    await showLibraryPage(v, Number(arg));
+    return bot.answerCallbackQuery(query.id);
+  }
+  if (!it) return bot.answerCallbackQuery(query.id, { text: 'Unknown item — refresh the list.' });
+  if (action === 'LI') {
+    const markup = { reply_markup: { inline_keyboard: libraryItemKeyboard(v, it) } };
+    try {
+      if (!it.imageUrl) throw new Error('no poster');
+      await bot.sendPhoto(v.chatId, it.imageUrl, { caption: libraryItemText(it), ...markup });
+    } catch (e) {
+      await bot.sendMessage(v.chatId, libraryItemText(it), markup);
+    }
+    return bot.answerCallbackQuery(query.id);
+  }
+  if (action === 'LM' || (action === 'LQ' && extra)) {
+    const body = action === 'LM' ? { monitored: extra === '1', by } : { qualityProfileId: Number(extra), by };
+    const r = await api.put(kindPath, body, { validateStatus: s => s < 500 });
+    if (r.status !== 200) return bot.answerCallbackQuery(query.id, { text: r.data.error || 'Update failed', show_alert: true });
+    v.items.set(it.id, r.data);
+    await editLibraryCard(query.message, libraryItemText(r.data), libraryItemKeyboard(v, r.data));
+    botLogger.info(`Library ${v.kind}/${it.id} updated by ${query.from.id}: ${safeString(body)}`);
+    return bot.answerCallbackQuery(query.id, { text: '✅ Updated' });
+  }
+  if (action === 'LQ') {
+    const rows = (v.profiles || []).map(p => [{ text: `${p.id === it.qualityProfileId ? '• ' : ''}${p.name}`, callback_data: `LQ|${v.id}|${it.id}|${p.id}` }]);
+    rows.push([{ text: '‹ Back', callback_data: `LN|${v.id}|${it.id}` }]);
+    await editLibraryCard(query.message, `${libraryItemText(it)}\n\nPick a quality profile:`, rows);
+    return bot.answerCallbackQuery(query.id);
+  }
+  if (action === 'LS') {
+    const r = await api.post(`${kindPath}/search`, { by }, { validateStatus: s => s < 500 });
+    return bot.answerCallbackQuery(query.id, { text: r.status === 200 ? '🔎 Search started' : r.data.error || 'Search failed' });
+  }
+  if (action === 'LD') {
+    const withFiles = extra === '1';
+    await editLibraryCard(query.message, `${libraryItemText(it)}\n\n⚠️ Remove from ${v.kind === 'radarr' ? 'Radarr' : 'Sonarr'}${withFiles ? ' AND delete the files' : ''}?`, [[
+      { text: withFiles ? '🗑 Yes, delete files too' : '🗑 Yes, remove', callback_data: `LY|${v.id}|${it.id}|${extra}` },
+      { text: 'Cancel', callback_data: `LN|${v.id}|${it.id}` }
+    ]]);
+    return bot.answerCallbackQuery(query.id);
+  }
+  if (action === 'LY') {
+    const r = await api.delete(kindPath, { data: { deleteFiles: extra === '1', by }, validateStatus: s => s < 500 });
+    if (r.status !== 200) return bot.answerCallbackQuery(query.id, { text: r.data.error || 'Delete failed', show_alert: true });
+    v.items.delete(it.id);
+    await editLibraryCard(query.message, `🗑 ${it.title} removed${extra === '1' ? ' with its files' : ''}.`, []);
+    botLogger.info(`Library ${v.kind}/${it.id} deleted by ${query.from.id} (files: ${extra === '1'})`);
+    return bot.answerCallbackQuery(query.id, { text: 'Deleted' });
+  }
+  if (action === 'LN') {
+    await editLibraryCard(query.message, libraryItemText(it), libraryItemKeyboard(v, it));
+    return bot.answerCallbackQuery(query.id);
+  }
+  return bot.answerCallbackQuery(query.id, { text: 'Unknown action' });
+}
+
 /* -------------------------
    callback handler
    ------------------------- */
 bot.on('callback_query', async (query) => {
   const id = query.id;
-  const chatId = query.message.chat.id;
+  // buttons on inline cards have no message (and no chat we can write to): replies go to the presser's private chat
+  const chatId = query.message ? query.message.chat.id : query.from.id;
   const data = query.data;
   botLogger.info(`callback_query from ${chatId}: ${data}`);
   try {
     if (!data) return bot.answerCallbackQuery(id, { text: 'Invalid callback data' });
-    const [action, payload] = data.split('|');
-    if (action === 'AR') {
-      await bot.sendMessage(chatId, `Adding TMDB:${payload} to Radarr...`);
-      const r = await api.post('/api/add/movie', { tmdbId: payload });
-      if (r.data.added) { await bot.sendMessage(chatId, `✅ Added: ${r.data.movie.title || 'Unknown'}`); botLogger.info(`Added movie tmdb:${payload}`); }
-      else if (r.data.reason === 'exists') { await bot.sendMessage(chatId, `ℹ️ Already exists: ${r.data.movie.title || 'Unknown'}`); botLogger.info(`Movie exists tmdb:${payload}`); }
-      else { await bot.sendMessage(chatId, `Add returned: ${JSON.stringify(r.data)}`); botLogger.warn('Add returned unexpected payload: ' + safeString(r.data)); }
-    } else if (action === 'AS') {
-      await bot.sendMessage(chatId, `Adding to Sonarr: ${payload}...`);
-      const body = {}; if (/^\d+$/.test(payload)) body.tvdbId = Number(payload); else body.title = payload;
-      const r = await api.post('/api/add/series', body);
-      if (r.data.added) { await bot.sendMessage(chatId, `✅ Series added: ${r.data.series.title}`); botLogger.info(`Added series payload:${safeString(body)}`); }
-      else if (r.data.reason === 'exists') { await bot.sendMessage(chatId, `ℹ️ Series already exists: ${r.data.series.title}`); botLogger.info(`Series exists payload:${safeString(body)}`); }
-      else { await bot.sendMessage(chatId, `Add result: ${JSON.stringify(r.data)}`); botLogger.warn('Series add returned unexpected payload: ' + safeString(r.data)); }
+    const [action, payload, instance] = data.split('|');
+    botMetric.updates.inc({ type: 'callback', name: action });
+    if (action === 'UA') {
+      const r = await api.post('/api/telegram/users/access-request', { id: query.from.id, username: query.from.username, name: displayName(query.from), chatId });
+      userCache.delete(String(query.from.id));
+      if (r.data.created) await bot.sendMessage(chatId, '🙋 Access requested — an admin will review it.');
+      else if (r.data.reason === 'has-access') await bot.sendMessage(chatId, 'You already have access.');
+      else await bot.sendMessage(chatId, '⏳ Your access request is already waiting for an admin.');
+      return bot.answerCallbackQuery(id);
+    }
+    if (action === 'UG' || action === 'UD') {
+      if (!(await isAdmin(query.from))) return bot.answerCallbackQuery(id, { text: 'Only admins can do that', show_alert: true });
+      const by = requesterFrom(query.from, chatId);
+      if (action === 'UG') await api.put(`/api/telegram/users/${payload}`, { role: instance, by });
+      else await api.delete(`/api/telegram/users/${payload}`, { data: { by } });
+      userCache.delete(String(payload));
+      try { await bot.editMessageReplyMarkup({ inline_keyboard: [] }, callbackMessage(query)); } catch (e) { botLogger.warn('editMessageReplyMarkup failed: ' + safeString(e.message)); }
+      await bot.sendMessage(chatId, action === 'UG' ? `✅ User ${payload} granted ${instance}` : `❌ Access denied for ${payload}`);
+      botLogger.info(`User ${payload} ${action === 'UG' ? 'granted ' + instance : 'denied'} by ${query.from.id}`);
+      return bot.answerCallbackQuery(id);
+    }
+    if (action === 'W') return handleWizardCallback(query, data.split('|').slice(1));
+    if (/^L[PIMQSDYN]$/.test(action)) return handleLibraryCallback(query, data.split('|'));
+    if (action === 'R' || action === 'I') return handleResultCallback(query, action, data.split('|').slice(1), chatId);
+    if (action === 'X') return handleExistsCallback(query, data.split('|').slice(1), chatId);
+    if (['AR', 'AS', 'SM', 'SS'].includes(action)) {
+      // buttons from before result state existed: the title they point at is no longer known
+      try { await bot.editMessageReplyMarkup({ inline_keyboard: [] }, callbackMessage(query)); } catch (e) { /* already gone */ }
+      return bot.answerCallbackQuery(id, { text: 'This button is out of date — search again.', show_alert: true });
+    }
+    if (action === 'QA' || action === 'QR') {
+      if (!(await isAdmin(query.from))) {
+        botLogger.warn(`Non-admin ${query.from.id} tried ${action} on request ${payload}`);
+        return bot.answerCallbackQuery(id, { text: 'Only admins can do that', show_alert: true });
+      }
+      const by = requesterFrom(query.from, chatId);
+      const url = `/api/requests/${payload}/${action === 'QA' ? 'approve' : 'reject'}`;
+      const r = await api.post(url, { by }, { validateStatus: s => s < 500 });
+      const req = r.data.request;
+      // drop the buttons so the decision can't be made twice
+      try { await bot.editMessageReplyMarkup({ inline_keyboard: [] }, callbackMessage(query)); } catch (e) { botLogger.warn('editMessageReplyMarkup failed: ' + safeString(e.message)); }
+      if (!req) await bot.sendMessage(chatId, `Request ${payload}: ${r.data.error || 'not found'}`);
+      else if (r.status === 409) await bot.sendMessage(chatId, `ℹ️ ${req.title || payload} was already ${req.status}.`);
+      else await bot.sendMessage(chatId, describeDecision(req, query.from), existsMarkup(req));
+      botLogger.info(`Request ${payload} ${action === 'QA' ? 'approve' : 'reject'} by ${query.from.id}: ${req ? req.status : r.data.error}`);
     } else {
       bot.answerCallbackQuery(id, { text: 'Unknown action' });
       botLogger.warn('Unknown callback action: ' + data);
@@ -205,8 +1364,9 @@ bot.on('callback_query', async (query) => {
     await bot.answerCallbackQuery(id);
   } catch (err) {
     botLogger.error('callback handler error: ' + safeString(err.response?.data || err.message));
-    await bot.sendMessage(chatId, 'Failed to add — check server logs.');
-    await bot.answerCallbackQuery(id, { text: 'Error' });
+    botMetric.errors.inc({ where: 'callback' });
+    if (query.message) await bot.sendMessage(chatId, 'Request failed — check server logs.');
+    await bot.answerCallbackQuery(id, { text: query.message ? 'Error' : 'Request failed — check server logs.', show_alert: !query.message });
   }
 });
 
@@ -0,0 +1,164 @@
+// logs.js — reading, filtering and tailing the winston log files (plain and rotated .gz) without loading them whole
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+
+// winston's npm levels, most severe first
+const LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+// both loggers write "[YYYY-MM-DD HH:mm:ss] [LEVEL] message"; anything else continues the previous entry (stack traces)
+const LINE_RE = /^\[(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})\] \[([A-Za-z]+)\] ?(.*)$/;
+
+// server: rrr-YYYY-MM-DD.log[.gz] • error: rrr-error.log • bot: bot.log; rotation audit files and anything else are not logs
+function classifyLogFile(name) {
+  if (name === 'rrr-error.log') return { source: 'error', date: null };
+  const m = name.match(/^rrr-(\d{4}-\d{2}-\d{2})\.log(\.gz)?$/);
+  if (m) return { source: 'server', date: m[1] };
+  if (/^bot\.log(\.\d+)?(\.gz)?$/.test(name)) return { source: 'bot', date: null };
+  return null;
+}
+
+function listLogFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(name => {
+      const kind = classifyLogFile(name);
+      if (!kind) return null;
+      const st = fs.statSync(path.join(dir, name));
+      return { name, ...kind, size: st.size, modified: st.mtime.toISOString(), compressed: name.endsWith('.gz') };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.date || a.modified.slice(0, 10)).localeCompare(b.date || b.modified.slice(0, 10)) || a.name.localeCompare(b.name));
+}
+
+// readable stream of the file's text, gunzipped when needed
+function openLogStream(dir, name) {
+  const stream = fs.createReadStream(path.join(dir, path.basename(name)));
+  return name.endsWith('.gz') ? stream.pipe(zlib.createGunzip()) : stream;
+}
+
+// "YYYY-MM-DD HH:mm:ss" in local time, the same clock the log timestamps use
+function logTimestamp(value) {
+  if (!value) return null;
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+  if (Number.isNaN(d.getTime())) return null;
+  const p = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} ${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`;
+}
+
+/**
+ * { level (minimum severity), since, until, q } → predicate over parsed entries.
+ * `until` given as a bare date covers that whole day.
+ */
+function logFilter({ level, since, until, q } = {}) {
+  const maxRank = level && LEVELS.includes(String(level).toLowerCase()) ? LEVELS.indexOf(String(level).toLowerCase()) : LEVELS.length - 1;
+  const from = logTimestamp(since);
+  const to = until && /^\d{4}-\d{2}-\d{2}$/.test(until) ? `${until} 23:59:59` : logTimestamp(until);
+  const text = q ? String(q).toLowerCase() : null;
+  return e =>
+    LEVELS.indexOf(e.level) <= maxRank &&
+    (!from || e.at >= from) &&
+    (!to || e.at <= to) &&
+    (!text || e.message.toLowerCase().includes(text));
+}
+
+// turns a stream of lines into entries, folding continuation lines into the previous entry
+function entryCollector(source, file, onEntry) {
+  let current = null;
+  return {
+    line(raw) {
+      const m = LINE_RE.exec(raw);
+      if (m) {
+        if (current) onEntry(current);
+        const level = m[2].toLowerCase();
+        current = { at: m[1], level: LEVELS.includes(level) ? level : 'info', source, file, message: m[3] };
+      } else if (current && raw) {
+        current.message += '\n' + raw;
+      }
+    },
+    flush() {
+      if (current) onEntry(current);
+      current = null;
+    }
+  };
+}
+
+/**
+ * The last `limit` matching entries across `files` (oldest first), streaming each file line by line.
+ * Server files dated outside [since, until] are skipped without being opened.
+ */
+async function searchLogs(dir, files, filter, { limit = 500, since, until } = {}) {
+  const fromDay = since ? String(logTimestamp(since) || '').slice(0, 10) : null;
+  const toDay = until ? String(until).slice(0, 10) : null;
+  const matches = [];
+  let total = 0;
+  for (const f of files) {
+    if (f.date && ((fromDay && f.date < fromDay) || (toDay && f.date > toDay))) continue;
+    const collector = entryCollector(f.source, f.name, e => {
+      if (!filter(e)) return;
+      total++;
+      matches.push(e);
+      if (matches.length > limit) matches.shift();
+    });
+    const rl = readline.createInterface({ input: openLogStream(dir, f.name), crlfDelay: Infinity });
+    for await (const raw of rl) collector.line(raw);
+    collector.flush();
+  }
+  // several sources interleave by time
+  matches.sort((a, b) => a.at.localeCompare(b.at));
+  return { entries: matches, total, truncated: total > matches.length };
+}
+
+/**
+ * Follows the newest plain file of each source, polling for appended bytes (and for the daily switch to a new file).
+ * Calls onEntry for complete new entries; returns a stop() function.
+ */
+function tailLogs(dir, sources, filter, onEntry, { intervalMs = 1000 } = {}) {
+  const state = new Map(); // source -> { name, offset, rest }
+  const current = () => {
+    const latest = {};
+    for (const f of listLogFiles(dir)) if (!f.compressed && sources.includes(f.source)) latest[f.source] = f;
+    return latest;
+  };
+  for (const [source, f] of Object.entries(current())) state.set(source, { name: f.name, offset: f.size, rest: '' });
+
+  let busy = false;
+  const timer = setInterval(() => {
+    if (busy) return;
+    busy = true;
+    try {
+      for (const [source, f] of Object.entries(current())) {
+        let s = state.get(source);
+        if (!s || s.name !== f.name) { s = { name: f.name, offset: 0, rest: '' }; state.set(source, s); }
+        if (f.size < s.offset) s.offset = 0; // truncated (cleared)
+        if (f.size === s.offset) continue;
+        const fd = fs.openSync(path.join(dir, f.name), 'r');
+        const buf = Buffer.alloc(Math.min(f.size - s.offset, 1024 * 1024));
+        const read = fs.readSync(fd, buf, 0, buf.length, s.offset);
+        fs.closeSync(fd);
+        s.offset += read;
+        const lines = (s.rest + buf.toString('utf8', 0, read)).split(/\r?\n/);
+        s.rest = lines.pop();
+        const collector = entryCollector(source, f.name, e => { if (filter(e)) onEntry(e); });
+        lines.forEach(l => collector.line(l));
+        collector.flush();
+      }
+    } catch (err) {
+      // the file may be rotated or cleared between stat and read; pick it up on the next tick
+    } finally {
+      busy = false;
+    }
+  }, intervalMs);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  LEVELS,
+  classifyLogFile,
+  listLogFiles,
+  openLogStream,
+  logFilter,
+  searchLogs,
+  tailLogs
+};
@@ -0,0 +1,105 @@
+// metrics.js — a small Prometheus registry: counters, gauges and histograms in the text exposition format (0.0.4)
+//
+// Each process (server, bot) has its own registry. The bot pushes snapshot() to the server, which renders it next to
+// its own, so one /metrics scrape covers both.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]; // seconds
+
+const registry = new Map(); // name -> { type, name, help, labelNames, series: Map(labelKey -> values), buckets?, collect? }
+
+function define(type, name, help, labelNames = [], extra = {}) {
+  if (!registry.has(name)) registry.set(name, { type, name, help, labelNames, series: new Map(), ...extra });
+  return registry.get(name);
+}
+
+// one series per label combination; labels the metric doesn't declare are ignored, missing ones are ""
+function series(metric, labels, init) {
+  const values = metric.labelNames.map(l => (labels[l] == null ? '' : String(labels[l])));
+  const key = JSON.stringify(values);
+  if (!metric.series.has(key)) metric.series.set(key, { labels: Object.fromEntries(metric.labelNames.map((l, i) => [l, values[i]])), ...init() });
+  return metric.series.get(key);
+}
+
+function counter(name, help, labelNames) {
+  const metric = define('counter', name, help, labelNames);
+  return {
+    inc(labels = {}, n = 1) { series(metric, labels, () => ({ value: 0 })).value += n; }
+  };
+}
+
+// `collect()` (optional) is called on every snapshot and returns [{ labels, value }] — for values read from elsewhere
+function gauge(name, help, labelNames, collect) {
+  const metric = define('gauge', name, help, labelNames, { collect });
+  return {
+    set(labels = {}, value) { series(metric, labels, () => ({ value: 0 })).value = value; }
+  };
+}
+
+function histogram(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+  const metric = define('histogram', name, help, labelNames, { buckets });
+  const observe = (labels = {}, seconds) => {
+    const s = series(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    buckets.forEach((b, i) => { if (seconds <= b) s.counts[i]++; });
+    s.sum += seconds;
+    s.count++;
+  };
+  return {
+    observe,
+    // returns end(moreLabels) which records the elapsed time
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (more = {}) => observe({ ...labels, ...more }, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  };
+}
+
+// plain JSON of every metric (what the bot sends to the server)
+function snapshot() {
+  return [...registry.values()].map(m => {
+    const list = m.collect ? m.collect() : [...m.series.values()];
+    return {
+      type: m.type,
+      name: m.name,
+      help: m.help,
+      buckets: m.buckets,
+      series: list.map(s => (m.type === 'histogram'
+        ? { labels: s.labels, counts: s.counts.slice(), sum: s.sum, count: s.count }
+        : { labels: s.labels || {}, value: s.value }))
+    };
+  });
+}
+
+const escapeHelp = s => String(s).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabel = s => String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelText(labels, extra) {
+  const pairs = Object.entries({ ...labels, ...extra }).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+const num = v => (v === Infinity ? '+Inf' : Number.isFinite(Number(v)) ? String(Number(v)) : 'NaN');
+
+// text exposition of one or more snapshots (bucket counts are already cumulative: each observation counts in every bucket ≥ it)
+function render(snapshots) {
+  const lines = [];
+  for (const m of snapshots.flat()) {
+    lines.push(`# HELP ${m.name} ${escapeHelp(m.help)}`, `# TYPE ${m.name} ${m.type}`);
+    for (const s of m.series) {
+      if (m.type !== 'histogram') {
+        lines.push(`${m.name}${labelText(s.labels)} ${num(s.value)}`);
+        continue;
+      }
+      m.buckets.forEach((b, i) => lines.push(`${m.name}_bucket${labelText(s.labels, { le: num(b) })} ${s.counts[i]}`));
+      lines.push(`${m.name}_bucket${labelText(s.labels, { le: '+Inf' })} ${s.count}`, `${m.name}_sum${labelText(s.labels)} ${num(s.sum)}`, `${m.name}_count${labelText(s.labels)} ${s.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  snapshot,
+  render
+};
@@ -0,0 +1,164 @@
+// rules.js — routing rules: pick instance, root folder, quality profile and tags from a title's lookup metadata
+//
+// A rule: { id, name, enabled, type: 'movie'|'series'|'any', match: 'all'|'any',
+//           conditions: [{ field, op, value }], actions: { instance, rootFolderPath, qualityProfileId, tags } }
+// Rules are tried in order and the first match wins; a rule without conditions matches everything of its type.
+
+// field -> value kind; the facts come from ruleFacts() below
+const FIELDS = {
+  originalLanguage: 'string', // "English", "Japanese", … as Radarr/Sonarr name them
+  genres: 'list',
+  certification: 'string',    // "PG-13", "TV-MA", …
+  year: 'number',
+  anime: 'boolean',           // Sonarr's anime series type, or an animated Japanese movie
+  network: 'string'           // series network / movie studio
+};
+
+const OPS = {
+  string: ['is', 'isNot', 'in', 'notIn', 'contains'],
+  list: ['includes', 'excludes'], // any of the given values
+  number: ['is', 'gte', 'lte', 'between'],
+  boolean: ['is']
+};
+
+const TYPES = ['movie', 'series', 'any'];
+const TAG_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+// the facts rules see, from a mapped lookup result (arr.js toMovieResult / toSeriesResult)
+function ruleFacts(type, item) {
+  const genres = (item.genres || []).map(String);
+  const language = item.originalLanguage || null;
+  return {
+    originalLanguage: language,
+    genres,
+    certification: item.certification || null,
+    year: item.year ? Number(item.year) : null,
+    anime: type === 'series'
+      ? item.seriesType === 'anime'
+      : genres.some(g => /^anim/i.test(g)) && /^japanese$/i.test(language || ''),
+    network: item.network || item.studio || null
+  };
+}
+
+const lower = v => String(v).toLowerCase();
+const asList = v => (Array.isArray(v) ? v : [v]);
+
+function testCondition({ field, op, value }, facts) {
+  const fact = facts[field];
+  switch (FIELDS[field]) {
+    case 'string': {
+      const f = fact == null ? '' : lower(fact);
+      if (op === 'is') return f === lower(value);
+      if (op === 'isNot') return f !== lower(value);
+      if (op === 'in') return asList(value).some(v => lower(v) === f);
+      if (op === 'notIn') return !asList(value).some(v => lower(v) === f);
+      if (op === 'contains') return !!f && f.includes(lower(value));
+      return false;
+    }
+    case 'list': {
+      const hit = asList(value).some(v => (fact || []).some(x => lower(x) === lower(v)));
+      return op === 'includes' ? hit : !hit;
+    }
+    case 'number':
+      if (fact == null) return false;
+      if (op === 'is') return fact === Number(value);
+      if (op === 'gte') return fact >= Number(value);
+      if (op === 'lte') return fact <= Number(value);
+      if (op === 'between') return fact >= Number(value[0]) && fact <= Number(value[1]);
+      return false;
+    case 'boolean':
+      return fact === (value === true || value === 'true');
+    default:
+      return false;
+  }
+}
+
+function ruleMatches(rule, type, facts) {
+  if (!rule.enabled || (rule.type !== 'any' && rule.type !== type)) return false;
+  if (!rule.conditions.length) return true;
+  return rule.match === 'any'
+    ? rule.conditions.some(c => testCondition(c, facts))
+    : rule.conditions.every(c => testCondition(c, facts));
+}
+
+// first enabled rule for this type whose conditions hold, or null
+function matchRule(rules, type, facts) {
+  return rules.find(rule => ruleMatches(rule, type, facts)) || null;
+}
+
+// per-rule outcome for the preview: { id, name, matched, failed: [conditions that did not hold] }
+function explainRules(rules, type, facts) {
+  return rules.map(rule => ({
+    id: rule.id,
+    name: rule.name,
+    enabled: rule.enabled,
+    applies: rule.type === 'any' || rule.type === type,
+    matched: ruleMatches(rule, type, facts),
+    failed: rule.conditions.filter(c => !testCondition(c, facts))
+  }));
+}
+
+function validateCondition(c, i) {
+  const where = `condition ${i + 1}`;
+  if (!c || typeof c !== 'object') return { error: `${where}: must be an object` };
+  const kind = FIELDS[c.field];
+  if (!kind) return { error: `${where}: field must be one of ${Object.keys(FIELDS).join(', ')}` };
+  if (!OPS[kind].includes(c.op)) return { error: `${where}: ${c.field} supports ${OPS[kind].join(', ')}` };
+  let value = c.value;
+  if (kind === 'boolean') {
+    if (![true, false, 'true', 'false'].includes(value)) return { error: `${where}: value must be true or false` };
+    value = value === true || value === 'true';
+  } else if (kind === 'number') {
+    const nums = asList(value).map(Number);
+    if (nums.some(n => !Number.isFinite(n)) || (c.op === 'between' ? nums.length !== 2 : nums.length !== 1)) {
+      return { error: `${where}: ${c.op === 'between' ? 'value must be [from, to]' : 'value must be a number'}` };
+    }
+    value = c.op === 'between' ? nums : nums[0];
+  } else {
+    const list = (Array.isArray(value) ? value : String(value == null ? '' : value).split(',')).map(v => String(v).trim()).filter(Boolean);
+    if (!list.length) return { error: `${where}: value required` };
+    value = kind === 'list' || c.op === 'in' || c.op === 'notIn' ? list : list.join(', ');
+  }
+  return { value: { field: c.field, op: c.op, value } };
+}
+
+/**
+ * Normalises a rule from the API. Instance keys are checked by the caller (it knows the configured instances).
+ * Returns { value } or { error }.
+ */
+function validateRule(input) {
+  if (!input || typeof input !== 'object') return { error: 'rule required' };
+  const name = String(input.name || '').trim();
+  if (!name || name.length > 60) return { error: 'name required (max 60 characters)' };
+  const type = input.type || 'any';
+  if (!TYPES.includes(type)) return { error: `type must be one of ${TYPES.join(', ')}` };
+  const match = input.match || 'all';
+  if (!['all', 'any'].includes(match)) return { error: "match must be 'all' or 'any'" };
+  const conditions = [];
+  for (const [i, c] of (Array.isArray(input.conditions) ? input.conditions : []).entries()) {
+    const out = validateCondition(c, i);
+    if (out.error) return out;
+    conditions.push(out.value);
+  }
+  const a = input.actions || {};
+  const actions = {
+    instance: a.instance ? String(a.instance).trim().toLowerCase() : null,
+    rootFolderPath: a.rootFolderPath ? String(a.rootFolderPath).trim() : null,
+    qualityProfileId: a.qualityProfileId == null || a.qualityProfileId === '' ? null : Number(a.qualityProfileId),
+    tags: (Array.isArray(a.tags) ? a.tags : String(a.tags || '').split(',')).map(t => String(t).trim().toLowerCase()).filter(Boolean)
+  };
+  if (actions.qualityProfileId !== null && !(Number.isInteger(actions.qualityProfileId) && actions.qualityProfileId > 0)) return { error: 'qualityProfileId must be a positive integer' };
+  if (actions.rootFolderPath && !/^(\/|[A-Za-z]:\\|\\\\)/.test(actions.rootFolderPath)) return { error: 'rootFolderPath must be an absolute path' };
+  if (actions.tags.some(t => !TAG_RE.test(t))) return { error: 'tags: lowercase letters, digits and - only' };
+  if (!actions.instance && !actions.rootFolderPath && !actions.qualityProfileId && !actions.tags.length) return { error: 'a rule needs at least one action' };
+  return { value: { name, enabled: input.enabled !== false, type, match, conditions, actions } };
+}
+
+module.exports = {
+  FIELDS,
+  OPS,
+  ruleFacts,
+  matchRule,
+  explainRules,
+  validateRule
+};
@@ -2,15 +2,25 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const bodyParser = require('body-parser');
 const axios = require('axios');
 const basicAuth = require('basic-auth');
 const winston = require('winston');
 require('winston-daily-rotate-file');
+const { createArrClient, attachMetrics, makeImageUrl, libraryState, imdbTerm } = require('./arr');
+const { hashPassword, verifyPassword, safeEqual, randomToken, newApiToken, hashToken, parseCookies, serializeCookie } = require('./auth');
+const { LEVELS: LOG_LEVELS, classifyLogFile, listLogFiles, openLogStream, logFilter, searchLogs, tailLogs } = require('./logs');
+const { FIELDS: RULE_FIELDS, OPS: RULE_OPS, ruleFacts, matchRule, explainRules, validateRule } = require('./rules');
+const metrics = require('./metrics');
+const { EVENTS: NOTIFY_EVENTS, CHANNEL_TYPES, DEFAULT_TEMPLATES, TEMPLATE_VARS, SAMPLE_DATA, renderTemplate, validateTemplate, validateChannel, channelView, createNotifier } = require('./notify');
 
 const app = express();
-app.use(bodyParser.json());
+// bulk imports post whole export files, hence the larger limit
+app.use(bodyParser.json({ limit: '5mb' }));
+// the login form posts urlencoded
+app.use(bodyParser.urlencoded({ extended: false }));
 
 // logs folder
 const LOG_DIR = path.join(__dirname, 'logs');
@@ -48,190 +58,887 @@ function safeString(x) {
   try { return typeof x === 'string' ? x : JSON.stringify(x); } catch (e) { return String(x); }
 }
 
-// axios instances
-const radarr = axios.create({
-  baseURL: process.env.RADARR_BASE,
-  params: { apikey: process.env.RADARR_APIKEY },
-  headers: { 'Content-Type': 'application/json' }
+/* -------------------------
+   Metrics (Prometheus; GET /metrics further down also renders what the bot pushes)
+   ------------------------- */
+const metric = {
+  http: metrics.histogram('rrr_http_request_duration_seconds', 'Requests handled by the web server', ['method', 'route', 'status']),
+  searches: metrics.counter('rrr_searches_total', 'Title searches by type (movie, series, all = combined), outcome and source', ['type', 'outcome', 'source']),
+  searchSeconds: metrics.histogram('rrr_search_duration_seconds', 'Time to answer a title search', ['type', 'source']),
+  adds: metrics.counter('rrr_adds_total', 'Add attempts by type, outcome (added/exists/failed) and source', ['type', 'outcome', 'source']),
+  addSeconds: metrics.histogram('rrr_add_duration_seconds', 'Time to add a title to Radarr/Sonarr, routing rules included', ['type', 'outcome']),
+  upstreamSeconds: metrics.histogram('rrr_upstream_request_duration_seconds', 'Requests to Radarr, Sonarr and Telegram (every attempt, retries included)',
+    ['service', 'arr_instance', 'method', 'outcome']),
+  upstreamErrors: metrics.counter('rrr_upstream_errors_total', 'Failed requests to Radarr, Sonarr and Telegram by reason (HTTP status or error code)',
+    ['service', 'arr_instance', 'reason']),
+  cache: metrics.counter('rrr_arr_cache_requests_total', 'Radarr/Sonarr client cache lookups (hit ratio: result="hit" over all)', ['service', 'arr_instance', 'cache', 'result']),
+  notifications: metrics.counter('rrr_notifications_total', 'Notifications by channel type, event and outcome (sent/failed)', ['channel', 'event', 'outcome'])
+};
+
+metrics.gauge('rrr_requests', 'Requests by status and type', ['status', 'type'], () => {
+  const counts = new Map();
+  for (const r of db.requests) {
+    const key = `${r.status}|${r.type}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  // pending is always reported, so "nothing waiting" reads as 0 rather than no data
+  for (const type of ['movie', 'series']) if (!counts.has(`pending|${type}`)) counts.set(`pending|${type}`, 0);
+  return [...counts].map(([key, value]) => ({ labels: { status: key.split('|')[0], type: key.split('|')[1] }, value }));
 });
-const sonarr = axios.create({
-  baseURL: process.env.SONARR_BASE,
-  params: { apikey: process.env.SONARR_APIKEY },
-  headers: { 'Content-Type': 'application/json' }
+metrics.gauge('process_resident_memory_bytes', 'Resident memory of the server process', [], () => [{ value: process.memoryUsage().rss }]);
+metrics.gauge('process_start_time_seconds', 'Server start time (unix seconds)', [], () => [{ value: Math.round(Date.now() / 1000 - process.uptime()) }]);
+
+// bot users count as "bot", everyone else by how they came in (web, api, sync, auto)
+function metricSource(actor) {
+  if (!actor) return 'system';
+  return actor.source === 'telegram' ? 'bot' : actor.source || 'web';
+}
+
+function secondsSince(start) {
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+// hooks handed to the *arr clients (and the Telegram client) — see createArrClient.
+// The label is arr_instance because Prometheus already puts its own `instance` (the scrape target) on every series.
+function upstreamMetrics(service, instance) {
+  return {
+    request({ method, outcome, reason, seconds }) {
+      metric.upstreamSeconds.observe({ service, arr_instance: instance, method, outcome }, seconds);
+      if (outcome === 'error') metric.upstreamErrors.inc({ service, arr_instance: instance, reason });
+    },
+    cache({ cache, hit }) {
+      metric.cache.inc({ service, arr_instance: instance, cache, result: hit ? 'hit' : 'miss' });
+    }
+  };
+}
+
+// route is the matched pattern (/api/requests/:id), not the raw path, to keep the label set small
+app.use((req, res, next) => {
+  req.startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched';
+    metric.http.observe({ method: req.method, route, status: res.statusCode }, secondsSince(req.startedAt));
+  });
+  next();
 });
 
-// Basic auth middleware
-function requireBasicAuth(req, res, next) {
-  const user = basicAuth(req);
-  if (!process.env.BASIC_AUTH_USER) return next();
-  const ok = user && user.name === process.env.BASIC_AUTH_USER && user.pass === process.env.BASIC_AUTH_PASS;
-  if (!ok) {
-    res.set('WWW-Authenticate', 'Basic realm="Restricted"');
-    return res.status(401).send('Authentication required.');
-  }
-  return next();
+// every call to the Telegram Bot API from the server (notifications, diagnostics)
+const telegramHttp = axios.create({ baseURL: 'https://api.telegram.org' });
+attachMetrics(telegramHttp, upstreamMetrics('telegram', 'server'));
+
+// Radarr/Sonarr instances. RADARR_INSTANCES=default,4k reads RADARR_BASE/RADARR_APIKEY for "default"
+// and RADARR_4K_BASE/RADARR_4K_APIKEY/RADARR_4K_ROOT/... for "4k" (same scheme for SONARR_*).
+// These are the initial values; the settings page can override them and add instances (see applySettings).
+function envInstances(kind) {
+  const P = kind.toUpperCase();
+  const keys = (process.env[`${P}_INSTANCES`] || 'default').split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+  return keys.map(key => {
+    const prefix = key === 'default' ? P : `${P}_${key.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    return {
+      key,
+      name: process.env[`${prefix}_NAME`] || null,
+      baseUrl: process.env[`${prefix}_BASE`] || null,
+      apiKey: process.env[`${prefix}_APIKEY`] || null,
+      // where "Open" links point; defaults to the API base, set _PUBLIC_URL when that isn't reachable from browsers
+      publicUrl: process.env[`${prefix}_PUBLIC_URL`] || null,
+      root: process.env[`${prefix}_ROOT`] || null,
+      qualityProfileId: process.env[`${prefix}_QUALITY_PROFILE_ID`] ? Number(process.env[`${prefix}_QUALITY_PROFILE_ID`]) : null,
+      envPrefix: prefix
+    };
+  });
+}
+
+function buildInstance(kind, cfg) {
+  const label = kind === 'radarr' ? 'Radarr' : 'Sonarr';
+  const publicUrl = (cfg.publicUrl || cfg.baseUrl || '').replace(/\/+$/, '') || null;
+  const arr = createArrClient({ kind, key: cfg.key, baseURL: cfg.baseUrl, apiKey: cfg.apiKey, publicUrl, logger, metrics: upstreamMetrics(kind, cfg.key) });
+  return {
+    kind,
+    key: cfg.key,
+    name: cfg.name || (cfg.key === 'default' ? label : `${label} ${cfg.key}`),
+    root: cfg.root || null,
+    qualityProfileId: cfg.qualityProfileId || null,
+    publicUrl,
+    arr,
+    client: arr.http
+  };
+}
+
+// filled by applySettings() once DATA_FILE is loaded; the arrays are updated in place when settings change
+const instances = { radarr: [], sonarr: [] };
+
+// first configured instance when no key is given, null for an unknown key
+function getInstance(kind, key) {
+  const list = instances[kind] || [];
+  if (!key) return list[0] || null;
+  return list.find(i => i.key === String(key).toLowerCase()) || null;
+}
+
+function unknownInstance(res, kind, key) {
+  return res.status(400).json({ error: `unknown ${kind} instance "${key}"`, instances: instances[kind].map(i => i.key) });
+}
+
+function instanceInfo(inst) {
+  return { key: inst.key, name: inst.name };
 }
 
-// Telegram notify helper (simple)
-async function notifyTelegram(text) {
+// Telegram helpers (simple)
+function escapeHtml(s) {
+  return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Send a message to any chat; returns the sent Message or null
+async function sendTelegram(chatId, text, extra = {}) {
   const token = process.env.TELEGRAM_TOKEN;
-  const chatId = process.env.TELEGRAM_NOTIFY_CHAT_ID;
   if (!token || !chatId) {
     logger.warn('Telegram token or chat id not set — skipping notify');
-    return;
+    return null;
   }
   try {
-    const url = `https://api.telegram.org/bot${token}/sendMessage`;
-    await axios.post(url, { chat_id: chatId, text, parse_mode: 'HTML' });
-    logger.info('Sent Telegram notification');
+    const { data } = await telegramHttp.post(`/bot${token}/sendMessage`, { chat_id: chatId, text, parse_mode: 'HTML', ...extra });
+    logger.info(`Sent Telegram message to ${chatId}`);
+    return data.result || null;
   } catch (err) {
     logger.error('Telegram notify failed: ' + safeString(err.response?.data || err.message));
+    return null;
   }
 }
 
+async function notifyTelegram(text, extra) {
+  return sendTelegram(telegramNotifyChatId(), text, extra);
+}
+
 /* -------------------------
-   Image helpers (normalize)
+   Persistent data store (DATA_FILE)
    ------------------------- */
+const DATA_FILE = path.resolve(__dirname, process.env.DATA_FILE || 'lists.json');
 
-// Build a usable absolute URL (handles TMDb style "/path.jpg" and full URLs)
-function makeImageUrl(img) {
-  if (!img) return null;
+function loadData() {
+  if (!fs.existsSync(DATA_FILE)) return {};
   try {
-    if (Array.isArray(img) && img.length) img = img[0];
-    if (typeof img === 'object') {
-      img = img.remoteUrl || img.url || img.coverUrl || img.posterPath || img.backdropPath || img.path || img.imagePath;
-    }
-    if (!img) return null;
-    img = String(img).trim();
-    if (!img) return null;
-    if (img.startsWith('http://') || img.startsWith('https://')) return img;
-    if (img.startsWith('//')) return (process.env.SERVER_PROTOCOL || 'https:') + img;
-    if (img.startsWith('/')) return 'https://image.tmdb.org/t/p/w500' + img;
-    return img;
-  } catch (e) {
-    return null;
+    const parsed = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    // keep the unreadable file around instead of overwriting it on the next save
+    const backup = `${DATA_FILE}.corrupt-${Date.now()}`;
+    logger.error(`Failed to parse ${DATA_FILE} (${err.message}) — moved to ${backup}`);
+    try { fs.renameSync(DATA_FILE, backup); } catch (e) { logger.error('backup rename failed: ' + safeString(e.message)); }
+    return {};
   }
 }
 
-// Normalize arrays/objects/strings into an array of full image URLs
-function makeImageUrlsArray(maybeImgs) {
-  if (!maybeImgs) return [];
+const db = Object.assign({ requests: [], lists: [], telegramUsers: [], history: [], users: [], sessions: [], apiTokens: [], rules: [], syncSources: [] }, loadData());
+// a crash mid-approval leaves requests in 'processing'; put them back in the queue
+db.requests.forEach(r => { if (r.status === 'processing') r.status = 'pending'; });
+
+// History entries are written on a short timer rather than one full rewrite per search/request;
+// any saveData() in between takes them along, and a pending write is flushed on shutdown.
+const HISTORY_SAVE_DELAY_MS = 2000;
+let historySaveTimer = null;
+
+function saveDataSoon() {
+  if (!historySaveTimer) historySaveTimer = setTimeout(saveData, HISTORY_SAVE_DELAY_MS);
+}
+
+process.on('exit', () => { if (historySaveTimer) saveData(); });
+['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => process.exit(0)));
+
+// write to a temp file and rename so a crash mid-write never truncates DATA_FILE
+function saveData() {
+  clearTimeout(historySaveTimer);
+  historySaveTimer = null;
   try {
-    if (Array.isArray(maybeImgs)) {
-      return maybeImgs.map(it => makeImageUrl(it)).filter(Boolean);
-    }
-    if (typeof maybeImgs === 'object') {
-      // If object is a map of images, try to extract common fields
-      const candidate = maybeImgs.remoteUrl || maybeImgs.url || maybeImgs.coverUrl || maybeImgs.posterPath || maybeImgs.backdropPath || maybeImgs.path;
-      const v = makeImageUrl(candidate);
-      return v ? [v] : [];
-    }
-    // string
-    const v = makeImageUrl(String(maybeImgs));
-    return v ? [v] : [];
-  } catch (e) {
-    return [];
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    const tmp = DATA_FILE + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(db, null, 2));
+    fs.renameSync(tmp, DATA_FILE);
+  } catch (err) {
+    logger.error(`Failed to write ${DATA_FILE}: ` + safeString(err.message));
   }
 }
 
+function newId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
 /* -------------------------
-   Radarr / Sonarr metadata
+   Settings (env vars are the initial values, db.settings overrides them at runtime)
    ------------------------- */
+const INSTANCE_FIELDS = ['name', 'baseUrl', 'apiKey', 'publicUrl', 'root', 'qualityProfileId'];
 
-async function radarrGetDefaults() {
-  try {
-    const [rootsRes, qpsRes] = await Promise.all([radarr.get('/api/v3/rootfolder'), radarr.get('/api/v3/qualityprofile')]);
-    return { rootFolders: rootsRes.data || [], qualityProfiles: qpsRes.data || [] };
-  } catch (err) {
-    logger.warn('radarrGetDefaults failed: ' + safeString(err.response?.data || err.message));
-    return { rootFolders: [], qualityProfiles: [] };
+// db.settings = { instances: { radarr: { <key>: {…INSTANCE_FIELDS} }, sonarr: {…} }, telegram: { notifyChatId }, updatedAt, updatedBy }
+function settingsStore() {
+  if (!db.settings) db.settings = {};
+  if (!db.settings.instances) db.settings.instances = {};
+  for (const kind of ['radarr', 'sonarr']) if (!db.settings.instances[kind]) db.settings.instances[kind] = {};
+  if (!db.settings.telegram) db.settings.telegram = {};
+  return db.settings;
+}
+
+// env instances (with any saved overrides), then the ones added from the settings page
+function instanceConfigs(kind) {
+  const saved = settingsStore().instances[kind];
+  const env = envInstances(kind);
+  return [
+    ...env.map(c => (saved[c.key] ? { ...c, ...saved[c.key], source: 'env', overridden: true } : { ...c, source: 'env', overridden: false })),
+    ...Object.keys(saved).filter(key => !env.some(c => c.key === key)).map(key => ({ key, ...saved[key], source: 'settings', overridden: true }))
+  ];
+}
+
+function configSignature(cfg) {
+  return JSON.stringify(INSTANCE_FIELDS.map(f => cfg[f] == null ? null : cfg[f]));
+}
+
+// rebuilds instance clients whose config changed (unchanged ones keep their caches)
+function applySettings() {
+  for (const kind of ['radarr', 'sonarr']) {
+    const next = instanceConfigs(kind).map(cfg => {
+      const current = instances[kind].find(i => i.key === cfg.key);
+      if (current && current.signature === configSignature(cfg)) return current;
+      if (!cfg.baseUrl) logger.warn(`${kind === 'radarr' ? 'Radarr' : 'Sonarr'} instance "${cfg.key}" has no base URL (${cfg.envPrefix ? `${cfg.envPrefix}_BASE or ` : ''}settings page)`);
+      return { ...buildInstance(kind, cfg), signature: configSignature(cfg) };
+    });
+    instances[kind].splice(0, instances[kind].length, ...next);
   }
 }
-async function sonarrGetDefaults() {
+
+function telegramNotifyChatId() {
+  const saved = settingsStore().telegram;
+  return 'notifyChatId' in saved ? saved.notifyChatId : process.env.TELEGRAM_NOTIFY_CHAT_ID || null;
+}
+
+// API keys never leave the server whole: "••••a1b2" is enough to tell two keys apart
+function maskSecret(s) {
+  if (!s) return null;
+  return s.length > 8 ? `••••${s.slice(-4)}` : '••••';
+}
+
+function settingsView(cfg) {
+  return {
+    key: cfg.key,
+    name: cfg.name || null,
+    baseUrl: cfg.baseUrl || null,
+    apiKey: maskSecret(cfg.apiKey),
+    apiKeySet: !!cfg.apiKey,
+    publicUrl: cfg.publicUrl || null,
+    root: cfg.root || null,
+    qualityProfileId: cfg.qualityProfileId || null,
+    source: cfg.source,
+    overridden: cfg.overridden,
+    envPrefix: cfg.envPrefix || null
+  };
+}
+
+function validUrl(s) {
   try {
-    const [rootsRes, qpsRes] = await Promise.all([sonarr.get('/api/v3/rootfolder'), sonarr.get('/api/v3/qualityprofile')]);
-    return { rootFolders: rootsRes.data || [], qualityProfiles: qpsRes.data || [] };
-  } catch (err) {
-    logger.warn('sonarrGetDefaults failed: ' + safeString(err.response?.data || err.message));
-    return { rootFolders: [], qualityProfiles: [] };
+    const u = new URL(s);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Validates an instance edit against its current config. A missing or still-masked apiKey keeps the current one.
+ * Returns { value } (every INSTANCE_FIELDS entry, empty ones as null) or { error }.
+ */
+function validateInstanceSettings(body, current = {}) {
+  const str = v => (v == null ? null : String(v).trim() || null);
+  const value = {
+    name: str(body.name),
+    baseUrl: str(body.baseUrl),
+    apiKey: body.apiKey === undefined || body.apiKey === maskSecret(current.apiKey) ? current.apiKey || null : str(body.apiKey),
+    publicUrl: str(body.publicUrl),
+    root: str(body.root),
+    qualityProfileId: body.qualityProfileId == null || body.qualityProfileId === '' ? null : Number(body.qualityProfileId)
+  };
+  if (value.baseUrl) value.baseUrl = value.baseUrl.replace(/\/+$/, '');
+  if (!value.baseUrl || !validUrl(value.baseUrl)) return { error: 'baseUrl must be an http(s) URL' };
+  if (!value.apiKey) return { error: 'apiKey required' };
+  if (value.publicUrl && !validUrl(value.publicUrl)) return { error: 'publicUrl must be an http(s) URL' };
+  if (value.root && !/^(\/|[A-Za-z]:\\|\\\\)/.test(value.root)) return { error: 'root must be an absolute path' };
+  if (value.qualityProfileId !== null && !(Number.isInteger(value.qualityProfileId) && value.qualityProfileId > 0)) return { error: 'qualityProfileId must be a positive integer' };
+  if (value.name && value.name.length > 60) return { error: 'name too long' };
+  return { value };
+}
+
+applySettings();
+
+/* -------------------------
+   Web users, sessions and API tokens
+   ------------------------- */
+
+// admin: everything • trusted: may also add directly, import and start searches • requester: search, request, follow own requests
+const WEB_ROLES = ['admin', 'trusted', 'requester'];
+const SESSION_COOKIE = 'rrr_session';
+const LOGIN_CSRF_COOKIE = 'rrr_login';
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || 168) * 60 * 60 * 1000;
+const COOKIE_SECURE = process.env.COOKIE_SECURE === 'true';
+const MIN_PASSWORD_LENGTH = 8;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// with no users at all the app is open (as it was without BASIC_AUTH_USER); requests then act as this admin
+const OPEN_USER = { id: null, username: 'web', role: 'admin', via: 'open' };
+
+function authEnabled() {
+  return db.users.length > 0;
+}
+
+function webUserView(u) {
+  const { passwordHash, ...rest } = u;
+  return rest;
+}
+
+function activeUser(id) {
+  const u = db.users.find(x => x.id === id);
+  return u && !u.disabled ? u : null;
+}
+
+function findWebUser(username) {
+  const name = String(username || '').toLowerCase();
+  return db.users.find(u => u.username.toLowerCase() === name) || null;
+}
+
+// BASIC_AUTH_USER/PASS become the first admin, so existing setups (and scripts using basic auth) keep working
+async function seedWebAdmin() {
+  db.sessions = db.sessions.filter(s => Date.parse(s.expiresAt) > Date.now());
+  if (db.users.length) return;
+  const name = process.env.BASIC_AUTH_USER;
+  if (!name) {
+    logger.warn('No web users and no BASIC_AUTH_USER — the UI and API are open until the first user is created');
+    return;
+  }
+  db.users.push({ id: newId(), username: name, passwordHash: await hashPassword(process.env.BASIC_AUTH_PASS || ''), role: 'admin', createdAt: new Date().toISOString(), createdBy: 'env' });
+  saveData();
+  logger.info(`🔐 web admin "${name}" created from BASIC_AUTH_USER`);
+}
+
+// scrypt is deliberately slow; scripts sending basic auth on every call hit this cache instead
+const basicAuthCache = new Map(); // sha256(name:pass) -> { userId, at }
+let dummyHash = null;
+
+async function checkBasicAuth(creds) {
+  const key = hashToken(`${creds.name}:${creds.pass}`);
+  const hit = basicAuthCache.get(key);
+  if (hit && Date.now() - hit.at < 60 * 1000) return activeUser(hit.userId);
+  const u = findWebUser(creds.name);
+  // verify against a throwaway hash for unknown names so timing doesn't reveal which users exist
+  if (!dummyHash) dummyHash = await hashPassword(randomToken());
+  const ok = await verifyPassword(creds.pass, u ? u.passwordHash : dummyHash);
+  if (!ok || !u || u.disabled) return null;
+  basicAuthCache.set(key, { userId: u.id, at: Date.now() });
+  return u;
+}
+
+function findSession(sid) {
+  if (!sid) return null;
+  const hash = hashToken(sid);
+  const s = db.sessions.find(x => x.id === hash);
+  return s && Date.parse(s.expiresAt) > Date.now() ? s : null;
+}
+
+// Bearer token → session cookie → basic auth; returns { user, via, session?, token? } or null
+async function authenticate(req) {
+  const header = req.get('authorization') || '';
+  if (/^bearer\s/i.test(header)) {
+    const hash = hashToken(header.replace(/^bearer\s+/i, '').trim());
+    const token = db.apiTokens.find(t => !t.revokedAt && t.hash === hash);
+    const user = token && activeUser(token.userId);
+    if (!user) return null;
+    if (!token.lastUsedAt || Date.now() - Date.parse(token.lastUsedAt) > 60 * 1000) { token.lastUsedAt = new Date().toISOString(); saveData(); }
+    return { user, via: 'token', token };
+  }
+  const session = findSession(parseCookies(req.get('cookie'))[SESSION_COOKIE]);
+  const sessionUser = session && activeUser(session.userId);
+  if (sessionUser) return { user: sessionUser, via: 'session', session };
+  const creds = basicAuth(req);
+  const user = creds && (await checkBasicAuth(creds));
+  return user ? { user, via: 'basic' } : null;
+}
+
+// sets req.user = { id, username, role, via, tokenName? }; cookie sessions must send X-CSRF-Token on writes
+async function requireAuth(req, res, next) {
+  if (!authEnabled()) { req.user = OPEN_USER; return next(); }
+  const auth = await authenticate(req);
+  if (!auth) return res.status(401).json({ error: 'authentication required' });
+  if (auth.via === 'session' && !SAFE_METHODS.includes(req.method) && !safeEqual(req.get('x-csrf-token'), auth.session.csrf)) {
+    return res.status(403).json({ error: 'invalid or missing CSRF token' });
+  }
+  req.user = { id: auth.user.id, username: auth.user.username, role: auth.user.role, via: auth.via, tokenName: auth.token ? auth.token.name : undefined };
+  req.session = auth.session || null;
+  return next();
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) return res.status(403).json({ error: `only ${roles.join('/')} users can do that` });
+    return next();
+  };
+}
+
+// pages redirect to the login form instead of answering 401
+async function requirePageAuth(req, res, next) {
+  if (!authEnabled()) { req.user = OPEN_USER; return next(); }
+  const auth = await authenticate(req);
+  if (!auth) return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  req.user = { id: auth.user.id, username: auth.user.username, role: auth.user.role, via: auth.via };
+  req.session = auth.session || null;
+  return next();
+}
+
+function setCookie(res, name, value, maxAgeSec, req) {
+  res.append('Set-Cookie', serializeCookie(name, value, { maxAgeSec, secure: COOKIE_SECURE || req.secure }));
+}
+
+function validPassword(password) {
+  return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+}
+
+// failed logins per client IP; 10 in 15 minutes locks that IP out until the window passes
+const loginFailures = new Map();
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+function loginLocked(ip) {
+  const f = loginFailures.get(ip);
+  if (f && Date.now() - f.since > LOGIN_WINDOW_MS) { loginFailures.delete(ip); return false; }
+  return !!f && f.count >= 10;
+}
+
+function noteLoginFailure(ip) {
+  const f = loginFailures.get(ip) || { count: 0, since: Date.now() };
+  f.count++;
+  loginFailures.set(ip, f);
+}
+
+// only same-site paths, never "//host" or absolute URLs
+function safeNext(next) {
+  const n = String(next || '/');
+  return n.startsWith('/') && !n.startsWith('//') && !n.startsWith('/\\') ? n : '/';
+}
+
+function renderLogin(req, res, { error = null, status = 200 } = {}) {
+  const csrf = randomToken(16);
+  setCookie(res, LOGIN_CSRF_COOKIE, csrf, 60 * 60, req);
+  res.status(status).render('login', { csrfToken: csrf, error, next: safeNext(req.query.next || (req.body && req.body.next)) });
+}
+
+app.get('/login', async (req, res) => {
+  if (!authEnabled()) return res.redirect('/');
+  const session = findSession(parseCookies(req.get('cookie'))[SESSION_COOKIE]);
+  if (session && activeUser(session.userId)) return res.redirect(safeNext(req.query.next));
+  renderLogin(req, res);
+});
+
+app.post('/login', async (req, res) => {
+  const { username, password, _csrf } = req.body || {};
+  const ip = req.ip;
+  if (!safeEqual(_csrf, parseCookies(req.get('cookie'))[LOGIN_CSRF_COOKIE])) return renderLogin(req, res, { error: 'Your login form expired, please try again.', status: 403 });
+  if (loginLocked(ip)) return renderLogin(req, res, { error: 'Too many failed attempts. Try again later.', status: 429 });
+  const user = username && password ? await checkBasicAuth({ name: String(username), pass: String(password) }) : null;
+  if (!user) {
+    noteLoginFailure(ip);
+    logger.warn(`🔐 failed login for "${safeString(username || '')}" from ${ip}`);
+    recordHistory({ action: 'login', actor: { source: 'web', id: null, username: username || null }, result: 'failed', details: { ip } });
+    return renderLogin(req, res, { error: 'Wrong username or password.', status: 401 });
+  }
+  loginFailures.delete(ip);
+  const sid = randomToken();
+  const now = Date.now();
+  db.sessions = db.sessions.filter(s => Date.parse(s.expiresAt) > now);
+  db.sessions.push({ id: hashToken(sid), userId: user.id, csrf: randomToken(), createdAt: new Date(now).toISOString(), expiresAt: new Date(now + SESSION_TTL_MS).toISOString(), ip, userAgent: req.get('user-agent') || null });
+  user.lastLoginAt = new Date(now).toISOString();
+  saveData();
+  logger.info(`🔐 ${user.username} logged in from ${ip}`);
+  recordHistory({ action: 'login', actor: { source: 'web', id: user.id, username: user.username }, details: { ip } });
+  setCookie(res, SESSION_COOKIE, sid, SESSION_TTL_MS / 1000, req);
+  setCookie(res, LOGIN_CSRF_COOKIE, '', 0, req);
+  res.redirect(safeNext(req.body.next));
+});
+
+app.post('/logout', requireAuth, (req, res) => {
+  if (req.session) {
+    db.sessions = db.sessions.filter(s => s !== req.session);
+    saveData();
+  }
+  setCookie(res, SESSION_COOKIE, '', 0, req);
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ user: req.user, authEnabled: authEnabled() });
+});
+
+app.put('/api/auth/me/password', requireAuth, async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  const u = req.user.id && activeUser(req.user.id);
+  if (!u) return res.status(400).json({ error: 'no user account to change' });
+  if (!validPassword(newPassword)) return res.status(400).json({ error: `newPassword must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  if (!(await verifyPassword(currentPassword || '', u.passwordHash))) return res.status(403).json({ error: 'current password is wrong' });
+  u.passwordHash = await hashPassword(newPassword);
+  u.updatedAt = new Date().toISOString();
+  // every other session of this user is signed out
+  db.sessions = db.sessions.filter(s => s.userId !== u.id || s === req.session);
+  basicAuthCache.clear();
+  saveData();
+  recordHistory({ action: 'account.update', actor: requesterFrom(req), target: { type: 'account', id: u.id, username: u.username }, details: { password: true } });
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/users', requireAuth, requireRole('admin'), (req, res) => {
+  res.json(db.users.map(webUserView));
+});
+
+// the first account must be an admin — creating it switches authentication on
+app.post('/api/auth/users', requireAuth, requireRole('admin'), async (req, res) => {
+  const { username, password, role = 'requester' } = req.body || {};
+  if (!username || !/^[\w.@-]{2,64}$/.test(username)) return res.status(400).json({ error: 'username must be 2-64 letters, digits or . _ @ -' });
+  if (!WEB_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${WEB_ROLES.join(', ')}` });
+  if (!validPassword(password)) return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  if (findWebUser(username)) return res.status(409).json({ error: 'username already taken' });
+  if (!db.users.length && role !== 'admin') return res.status(400).json({ error: 'the first user must be an admin' });
+  const u = { id: newId(), username, passwordHash: await hashPassword(password), role, createdAt: new Date().toISOString(), createdBy: req.user.username };
+  db.users.push(u);
+  saveData();
+  logger.info(`🔐 web user ${username} (${role}) created by ${req.user.username}`);
+  recordHistory({ action: 'account.create', actor: requesterFrom(req), target: { type: 'account', id: u.id, username }, details: { role } });
+  res.status(201).json(webUserView(u));
+});
+
+function lastAdminLeft(u) {
+  return u.role === 'admin' && !u.disabled && db.users.filter(x => x.role === 'admin' && !x.disabled).length === 1;
+}
+
+// { role?, password?, disabled? }
+app.put('/api/auth/users/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  const u = db.users.find(x => x.id === req.params.id);
+  if (!u) return res.status(404).json({ error: 'user not found' });
+  const { role, password, disabled } = req.body || {};
+  if (role !== undefined && !WEB_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${WEB_ROLES.join(', ')}` });
+  if (password !== undefined && !validPassword(password)) return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  if (lastAdminLeft(u) && ((role && role !== 'admin') || disabled)) return res.status(400).json({ error: 'cannot demote or disable the last admin' });
+  if (role) u.role = role;
+  if (password !== undefined) u.passwordHash = await hashPassword(password);
+  if (disabled !== undefined) u.disabled = !!disabled;
+  if (password !== undefined || u.disabled) db.sessions = db.sessions.filter(s => s.userId !== u.id);
+  basicAuthCache.clear();
+  u.updatedAt = new Date().toISOString();
+  saveData();
+  logger.info(`🔐 web user ${u.username} updated by ${req.user.username}: role:${u.role}${u.disabled ? ' disabled' : ''}`);
+  recordHistory({ action: 'account.update', actor: requesterFrom(req), target: { type: 'account', id: u.id, username: u.username },
+    details: { role: u.role, disabled: !!u.disabled, password: password !== undefined } });
+  res.json(webUserView(u));
+});
+
+app.delete('/api/auth/users/:id', requireAuth, requireRole('admin'), (req, res) => {
+  const u = db.users.find(x => x.id === req.params.id);
+  if (!u) return res.status(404).json({ error: 'user not found' });
+  if (lastAdminLeft(u)) return res.status(400).json({ error: 'cannot delete the last admin' });
+  db.users = db.users.filter(x => x !== u);
+  db.sessions = db.sessions.filter(s => s.userId !== u.id);
+  db.apiTokens.forEach(t => { if (t.userId === u.id && !t.revokedAt) t.revokedAt = new Date().toISOString(); });
+  basicAuthCache.clear();
+  saveData();
+  logger.info(`🔐 web user ${u.username} deleted by ${req.user.username}`);
+  recordHistory({ action: 'account.delete', actor: requesterFrom(req), target: { type: 'account', id: u.id, username: u.username } });
+  res.json({ ok: true });
+});
+
+function apiTokenView(t) {
+  const { hash, ...rest } = t;
+  const owner = db.users.find(u => u.id === t.userId);
+  return { ...rest, username: owner ? owner.username : null };
+}
+
+// admins see every token (?mine=true for their own), everyone else only their own
+app.get('/api/auth/tokens', requireAuth, (req, res) => {
+  const all = req.user.role === 'admin' && req.query.mine !== 'true';
+  res.json(db.apiTokens.filter(t => all || t.userId === req.user.id).map(apiTokenView).reverse());
+});
+
+// { name, userId? } — admins may issue tokens for other users (e.g. a "bot" account); the token acts with its owner's role
+app.post('/api/auth/tokens', requireAuth, (req, res) => {
+  const { name, userId } = req.body || {};
+  if (!name || !String(name).trim()) return res.status(400).json({ error: 'name required' });
+  if (userId && userId !== req.user.id && req.user.role !== 'admin') return res.status(403).json({ error: 'only admins can issue tokens for other users' });
+  const owner = activeUser(userId || req.user.id);
+  if (!owner) return res.status(400).json({ error: req.user.id ? 'user not found' : 'create a user first — tokens belong to a user' });
+  const { token, hash, prefix } = newApiToken();
+  const t = { id: newId(), name: String(name).trim().slice(0, 64), userId: owner.id, prefix, hash, createdAt: new Date().toISOString(), createdBy: req.user.username, lastUsedAt: null, revokedAt: null };
+  db.apiTokens.push(t);
+  saveData();
+  logger.info(`🔑 API token "${t.name}" (${prefix}…) for ${owner.username} created by ${req.user.username}`);
+  recordHistory({ action: 'token.create', actor: requesterFrom(req), target: { type: 'token', id: t.id, username: owner.username }, details: { name: t.name } });
+  res.status(201).json({ ...apiTokenView(t), token });
+});
+
+app.delete('/api/auth/tokens/:id', requireAuth, (req, res) => {
+  const t = db.apiTokens.find(x => x.id === req.params.id);
+  if (!t || (t.userId !== req.user.id && req.user.role !== 'admin')) return res.status(404).json({ error: 'token not found' });
+  if (!t.revokedAt) {
+    t.revokedAt = new Date().toISOString();
+    saveData();
+    logger.info(`🔑 API token "${t.name}" (${t.prefix}…) revoked by ${req.user.username}`);
+    recordHistory({ action: 'token.revoke', actor: requesterFrom(req), target: { type: 'token', id: t.id }, details: { name: t.name } });
   }
+  res.json(apiTokenView(t));
+});
+
+/* -------------------------
+   History / audit trail (persisted in DATA_FILE, survives /api/clearlogs)
+   ------------------------- */
+const HISTORY_LIMIT = Number(process.env.HISTORY_LIMIT || 5000);
+
+function historyActor(who) {
+  if (!who) return { source: 'system', id: null, username: null };
+  return { source: who.source || 'web', id: who.id != null ? String(who.id) : null, username: who.username || null };
+}
+
+// { title, year, tmdbId, tvdbId, imdbId } from a request body / request / result, whichever fields exist
+function historyTarget(type, src = {}) {
+  const t = { type: type || null };
+  for (const k of ['title', 'year', 'tmdbId', 'tvdbId', 'imdbId', 'arrId', 'requestId', 'query']) if (src[k] != null && src[k] !== '') t[k] = src[k];
+  return t;
+}
+
+/**
+ * action: search | request | approve | reject | add | library.update | library.search | library.monitor | library.upgrade | library.delete
+ *         | user.update | user.revoke
+ *         | login | account.create | account.update | account.delete | token.create | token.revoke | logs.clear
+ *         | settings.update | settings.reset | settings.delete | rule.create | rule.update | rule.delete | rule.reorder
+ *         | sync.run | sync.create | sync.update | sync.delete | sync.reset
+ *         | notify.channel.create | notify.channel.update | notify.channel.delete | notify.template.update
+ * result: ok | added | exists | created | duplicate | quota | forbidden | failed | …
+ */
+function recordHistory({ action, actor, kind = null, instance = null, target = {}, result = 'ok', details }) {
+  const who = historyActor(actor);
+  const entry = { id: newId(), at: new Date().toISOString(), action, source: who.source, actor: who, kind, instance, target, result };
+  if (details !== undefined) entry.details = details;
+  db.history.push(entry);
+  if (db.history.length > HISTORY_LIMIT) db.history.splice(0, db.history.length - HISTORY_LIMIT);
+  saveDataSoon();
+  return entry;
+}
+
+// bot calls that act on someone's behalf pass `by`; everything else is the requester (Telegram) or the signed-in user
+function actorFrom(req) {
+  const by = req.body && req.body.by;
+  return by && req.user.role === 'admin' ? by : requesterFrom(req);
+}
+
+// type: movie | series | all (the combined search)
+function observeSearch(req, type, failed) {
+  const source = metricSource(actorFrom(req));
+  metric.searches.inc({ type, outcome: failed ? 'failed' : 'ok', source });
+  metric.searchSeconds.observe({ type, source }, secondsSince(req.startedAt));
+}
+
+// only lookups that reached an instance count; bad requests are rejected before that
+function recordSearch(req, kind, inst, query, results, err) {
+  if (!inst) return;
+  observeSearch(req, kind === 'radarr' ? 'movie' : 'series', !!err);
+  recordHistory({
+    action: 'search', actor: actorFrom(req), kind, instance: inst ? inst.key : null, target: { type: kind === 'radarr' ? 'movie' : 'series', query: query == null ? null : String(query) },
+    result: err ? 'failed' : 'ok', details: err ? { error: safeString(err.response?.data || err.message) } : { count: results.length }
+  });
+}
+
+// outcome of addMovie/addSeries (`out`) or the error it threw
+function recordAdd({ actor, type, instance, src, out, err, details }) {
+  const item = out && (out.movie || out.series);
+  metric.adds.inc({ type, outcome: err ? 'failed' : out.added ? 'added' : 'exists', source: metricSource(actor) });
+  recordHistory({
+    action: 'add', actor, kind: type === 'movie' ? 'radarr' : 'sonarr', instance: out ? out.instance.key : instance || null,
+    target: historyTarget(type, { ...src, title: (item && item.title) || src.title, arrId: item && item.id }),
+    result: err ? 'failed' : out.added ? 'added' : 'exists',
+    details: err ? { ...details, error: safeString(err.response?.data || err.message) } : out.rule ? { ...details, rule: out.rule.name } : details
+  });
+}
+
+function actorLabel(a) {
+  if (!a) return '';
+  if (a.source === 'telegram') return a.username ? `@${a.username}` : a.id || 'telegram';
+  return a.username || a.id || a.source;
+}
+
+// ?action=a,b &result= &source=web|telegram|auto &actor=<id|@username|web user> &kind= &instance= &q= &since= &until=
+// non-admins only ever see their own entries
+function filterHistory(query, user) {
+  const own = user && user.role !== 'admin';
+  const actions = query.action ? String(query.action).split(',') : null;
+  const actor = query.actor ? String(query.actor).replace(/^@/, '').toLowerCase() : null;
+  const q = query.q ? String(query.q).toLowerCase() : null;
+  const since = query.since ? Date.parse(query.since) : null;
+  const until = query.until ? Date.parse(query.until) : null;
+  return db.history.filter(e =>
+    (!own || (e.source !== 'telegram' && e.actor.id === user.id)) &&
+    (!actions || actions.includes(e.action) || actions.some(a => a.endsWith('.*') && e.action.startsWith(a.slice(0, -1)))) &&
+    (!query.result || e.result === query.result) &&
+    (!query.source || e.source === query.source) &&
+    (!actor || e.actor.id === actor || (e.actor.username || '').toLowerCase() === actor) &&
+    (!query.kind || e.kind === query.kind) &&
+    (!query.instance || e.instance === query.instance) &&
+    (!q || [e.target.title, e.target.query, e.target.imdbId, e.target.tmdbId, e.target.tvdbId].some(v => v != null && String(v).toLowerCase().includes(q))) &&
+    (!since || Date.parse(e.at) >= since) &&
+    (!until || Date.parse(e.at) <= until)
+  ).reverse();
+}
+
+app.get('/api/history', requireAuth, (req, res) => {
+  const list = filterHistory(req.query, req.user);
+  const limit = Math.min(Math.max(1, Number(req.query.limit) || 100), 1000);
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  res.json({ total: list.length, offset, limit, items: list.slice(offset, offset + limit) });
+});
+
+const HISTORY_CSV_COLUMNS = ['at', 'action', 'result', 'source', 'actor', 'actorId', 'kind', 'instance', 'type', 'title', 'year', 'tmdbId', 'tvdbId', 'imdbId', 'requestId', 'query', 'details'];
+
+function csvCell(v) {
+  const s = v == null ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// same filters as /api/history, no paging; ?format=csv (default) or json
+app.get('/api/history/export', requireAuth, (req, res) => {
+  const list = filterHistory(req.query, req.user);
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set('Content-Disposition', `attachment; filename="rrr-history-${stamp}.${format}"`);
+  logger.info(`📤 history export ${format}: ${list.length} entries`);
+  if (format === 'json') return res.json(list);
+  const rows = list.map(e => [e.at, e.action, e.result, e.source, actorLabel(e.actor), e.actor.id, e.kind, e.instance, e.target.type, e.target.title, e.target.year,
+    e.target.tmdbId, e.target.tvdbId, e.target.imdbId, e.target.requestId, e.target.query, e.details].map(csvCell).join(','));
+  res.type('text/csv').send([HISTORY_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n');
+});
+
+/* -------------------------
+   Radarr / Sonarr metadata
+   ------------------------- */
+
+// root folders + quality profiles (cached by the instance's client)
+function arrGetDefaults(inst) {
+  return inst.arr.meta();
+}
+
+// the configured default when the instance still has it (or can't tell), else its first root folder / profile
+function defaultRoot(inst, meta) {
+  if (inst.root && (!meta.rootFolders.length || meta.rootFolders.some(f => f.path === inst.root))) return inst.root;
+  return meta.rootFolders[0] ? meta.rootFolders[0].path : inst.root;
+}
+
+function defaultQualityProfileId(inst, meta) {
+  const configured = Number(inst.qualityProfileId);
+  if (configured && (!meta.qualityProfiles.length || meta.qualityProfiles.some(q => q.id === configured))) return configured;
+  return meta.qualityProfiles[0] ? meta.qualityProfiles[0].id : configured || null;
 }
 
 /* -------------------------
    API endpoints
    ------------------------- */
 
-// meta for UI
-app.get('/api/radarr/meta', requireBasicAuth, async (req, res) => res.json(await radarrGetDefaults()));
-app.get('/api/sonarr/meta', requireBasicAuth, async (req, res) => res.json(await sonarrGetDefaults()));
+// configured instances (keys are what the other endpoints accept as `instance`)
+app.get('/api/instances', requireAuth, (req, res) => {
+  res.json({ radarr: instances.radarr.map(instanceInfo), sonarr: instances.sonarr.map(instanceInfo) });
+});
+
+// meta for UI (?instance=<key>, defaults to the first instance); `defaults` is what an add uses when no root/profile is given
+app.get('/api/radarr/meta', requireAuth, async (req, res) => {
+  const inst = getInstance('radarr', req.query.instance);
+  if (!inst) return unknownInstance(res, 'radarr', req.query.instance);
+  const meta = await arrGetDefaults(inst);
+  res.json({ instance: instanceInfo(inst), ...meta, defaults: { rootFolderPath: defaultRoot(inst, meta), qualityProfileId: defaultQualityProfileId(inst, meta) } });
+});
+app.get('/api/sonarr/meta', requireAuth, async (req, res) => {
+  const inst = getInstance('sonarr', req.query.instance);
+  if (!inst) return unknownInstance(res, 'sonarr', req.query.instance);
+  const meta = await arrGetDefaults(inst);
+  res.json({ instance: instanceInfo(inst), ...meta, defaults: { rootFolderPath: defaultRoot(inst, meta), qualityProfileId: defaultQualityProfileId(inst, meta) } });
+});
+
+function normalizeTitle(s) {
+  return String(s || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/&/g, 'and').replace(/[^a-z0-9]+/g, ' ').replace(/^(the|a|an) /, '').trim();
+}
+
+// exact title > prefix > contains > anything else; the backend's own order breaks ties
+function searchScore(query, result, index) {
+  const q = normalizeTitle(query);
+  const t = normalizeTitle(result.title);
+  const tier = t === q ? 3 : t.startsWith(q) ? 2 : t.includes(q) ? 1 : 0;
+  return tier * 100 - index;
+}
+
+// Movies and series in one go; a backend that fails only drops its half of the results
+app.post('/api/search', requireAuth, async (req, res) => {
+  const { query, type = 'all', radarrInstance, sonarrInstance } = req.body;
+  if (!query || !String(query).trim()) return res.status(400).json({ error: 'query required' });
+  if (!['all', 'movie', 'series'].includes(type)) return res.status(400).json({ error: "type must be 'all', 'movie' or 'series'" });
+  const radarr = getInstance('radarr', radarrInstance);
+  if (!radarr) return unknownInstance(res, 'radarr', radarrInstance);
+  const sonarr = getInstance('sonarr', sonarrInstance);
+  if (!sonarr) return unknownInstance(res, 'sonarr', sonarrInstance);
+  const q = String(query).trim();
+  const term = /^tt\d+$/.test(q) ? imdbTerm(q) : q;
+  logger.info(`🔍 search: "${q}" (${type})`);
+
+  const [movies, series] = await Promise.allSettled([
+    type === 'series' ? [] : radarr.arr.lookup(term),
+    type === 'movie' ? [] : sonarr.arr.lookup(term)
+  ]);
+  const errors = {};
+  const tag = (settled, kind, inst) => {
+    if (settled.status === 'rejected') {
+      errors[kind] = safeString(settled.reason.response?.data || settled.reason.message);
+      logger.warn(`search ${kind}/${inst.key} failed: ${errors[kind]}`);
+      return [];
+    }
+    return settled.value.map((r, i) => {
+      const { raw, ...rest } = r;
+      return { ...rest, type: kind === 'radarr' ? 'movie' : 'series', instance: inst.key, score: searchScore(q, r, i) };
+    });
+  };
+  const results = [...withRoutes('radarr', tag(movies, 'radarr', radarr)), ...withRoutes('sonarr', tag(series, 'sonarr', sonarr))].sort((a, b) => b.score - a.score);
+  const failed = Object.keys(errors).length === (type === 'all' ? 2 : 1);
+  observeSearch(req, type, failed);
+  recordHistory({ action: 'search', actor: actorFrom(req), kind: type === 'all' ? null : type === 'movie' ? 'radarr' : 'sonarr', target: { type, query: q },
+    result: failed ? 'failed' : 'ok', details: { count: results.length, ...(Object.keys(errors).length ? { errors } : {}) } });
+  logger.info(`📡 search "${q}": ${results.length} results${Object.keys(errors).length ? ` (failed: ${Object.keys(errors).join(', ')})` : ''}`);
+  res.json({ results, errors });
+});
 
 // Search movie (Radarr lookup) — returns imageUrl and images[]
-app.post('/api/search/movie', requireBasicAuth, async (req, res) => {
+app.post('/api/search/movie', requireAuth, async (req, res) => {
+  let inst;
   try {
     const { query } = req.body;
     if (!query) return res.status(400).json({ error: 'query required' });
+    inst = getInstance('radarr', req.body.instance);
+    if (!inst) return unknownInstance(res, 'radarr', req.body.instance);
     logger.info(`🔍 search/movie: "${query}"`);
-    const { data } = await radarr.get('/api/v3/movie/lookup', { params: { term: query } });
-    const results = (Array.isArray(data) ? data : []).slice(0, 20).map(it => {
-      // try many fields for images
-      let imgs = [];
-      if (it.images && Array.isArray(it.images) && it.images.length) {
-        // Radarr images array may include objects; map to usable URLs
-        imgs = it.images.map(i => i.remoteUrl || i.url || i.coverUrl || i.path || i.posterPath).filter(Boolean);
-      } else if (it.posterPath || it.backdropPath) {
-        imgs = [it.posterPath || it.backdropPath];
-      } else if (it.remotePoster) {
-        imgs = [it.remotePoster];
-      }
-      const images = makeImageUrlsArray(imgs);
-      const imageUrl = images[0] || null;
-      return {
-        title: it.title || it.titleSlug,
-        tmdbId: it.tmdbId,
-        year: it.year,
-        overview: it.overview,
-        imageUrl,
-        images
-      };
-    });
+    const results = await inst.arr.lookup(query);
     logger.info(`📡 Radarr lookup returned ${results.length} results for "${query}"`);
-    res.json(results);
+    recordSearch(req, 'radarr', inst, query, results);
+    res.json(withRoutes('radarr', results));
   } catch (err) {
+    recordSearch(req, 'radarr', inst, req.body && req.body.query, null, err);
     logger.error('search/movie error: ' + safeString(err.response?.data || err.message));
     res.status(500).json({ error: 'search failed', details: err.response?.data || err.message });
   }
 });
 
 // Search series (Sonarr lookup) — returns imageUrl and images[]
-app.post('/api/search/series', requireBasicAuth, async (req, res) => {
+app.post('/api/search/series', requireAuth, async (req, res) => {
+  let inst;
   try {
     const { query } = req.body;
     if (!query) return res.status(400).json({ error: 'query required' });
+    inst = getInstance('sonarr', req.body.instance);
+    if (!inst) return unknownInstance(res, 'sonarr', req.body.instance);
     logger.info(`🔍 search/series: "${query}"`);
-    const { data } = await sonarr.get('/api/v3/series/lookup', { params: { term: query } });
-    const results = (Array.isArray(data) ? data : []).slice(0, 20).map(item => {
-      // gather potential images
-      let imgs = [];
-      if (item.series && item.series.images && Array.isArray(item.series.images) && item.series.images.length) {
-        imgs = item.series.images.map(i => i.remoteUrl || i.url || i.coverUrl || i.path || i.posterPath).filter(Boolean);
-      } else if (item.images && Array.isArray(item.images) && item.images.length) {
-        imgs = item.images.map(i => i.remoteUrl || i.url || i.coverUrl || i.path || i.posterPath).filter(Boolean);
-      } else if (item.imageUrl) {
-        imgs = [item.imageUrl];
-      } else if (item.remotePoster) {
-        imgs = [item.remotePoster];
-      }
-      const images = makeImageUrlsArray(imgs);
-      const imageUrl = images[0] || null;
-      const tvdbId = item.tvdbId || item.series?.tvdbId || item.remoteId || null;
-      const imdbId = item.imdbId || item.series?.imdbId || null;
-      const title = item.title || item.seriesTitle || item.series?.title || item.name || null;
-      const year = item.year || item.series?.year || null;
-      return { title, tvdbId, imdbId, year, overview: item.overview || item.series?.overview, imageUrl, images, raw: item };
-    });
+    const results = await inst.arr.lookup(query);
     logger.info(`📡 Sonarr lookup returned ${results.length} results for "${query}"`);
-    res.json(results);
+    recordSearch(req, 'sonarr', inst, query, results);
+    res.json(withRoutes('sonarr', results));
   } catch (err) {
+    recordSearch(req, 'sonarr', inst, req.body && req.body.query, null, err);
     logger.error('search/series error: ' + safeString(err.response?.data || err.message));
     res.status(500).json({ error: 'search failed', details: err.response?.data || err.message });
   }
@@ -242,229 +949,2745 @@ app.post('/api/search/series', requireBasicAuth, async (req, res) => {
 // -------------------------
 
 // Movie by TMDB ID
-app.post('/api/search/movieByTmdb', requireBasicAuth, async (req, res) => {
+app.post('/api/search/movieByTmdb', requireAuth, async (req, res) => {
+  let inst;
   try {
     const { tmdbId } = req.body;
     if (!tmdbId) return res.status(400).json({ error: 'tmdbId required' });
+    inst = getInstance('radarr', req.body.instance);
+    if (!inst) return unknownInstance(res, 'radarr', req.body.instance);
     logger.info(`🔍 search/movieByTmdb: ${tmdbId}`);
     // radarr lookup accepts plain tmdb id; prefixed term may also work but use numeric
-    const { data } = await radarr.get('/api/v3/movie/lookup', { params: { term: String(tmdbId) } });
-    const results = (Array.isArray(data) ? data : []).slice(0, 20).map(it => {
-      let imgs = [];
-      if (it.images && Array.isArray(it.images) && it.images.length) imgs = it.images.map(i => i.remoteUrl || i.url || i.coverUrl || i.path || i.posterPath).filter(Boolean);
-      else if (it.posterPath || it.backdropPath) imgs = [it.posterPath || it.backdropPath];
-      else if (it.remotePoster) imgs = [it.remotePoster];
-      const images = makeImageUrlsArray(imgs);
-      return {
-        title: it.title || it.titleSlug,
-        tmdbId: it.tmdbId,
-        year: it.year,
-        overview: it.overview,
-        imageUrl: images[0] || null,
-        images
-      };
-    });
-    res.json(results);
+    const results = await inst.arr.lookup(String(tmdbId));
+    recordSearch(req, 'radarr', inst, tmdbId, results);
+    res.json(withRoutes('radarr', results));
   } catch (err) {
+    recordSearch(req, 'radarr', inst, req.body && req.body.tmdbId, null, err);
     logger.error('search/movieByTmdb error: ' + safeString(err.response?.data || err.message));
     res.status(500).json({ error: 'search failed', details: err.response?.data || err.message });
   }
 });
 
 // Movie by IMDB ID
-app.post('/api/search/movieByImdb', requireBasicAuth, async (req, res) => {
+app.post('/api/search/movieByImdb', requireAuth, async (req, res) => {
+  let inst;
   try {
     const { imdbId } = req.body;
     if (!imdbId) return res.status(400).json({ error: 'imdbId required' });
+    inst = getInstance('radarr', req.body.instance);
+    if (!inst) return unknownInstance(res, 'radarr', req.body.instance);
     logger.info(`🔍 search/movieByImdb: ${imdbId}`);
-    const term = imdbId.startsWith('tt') ? `imdb:${imdbId}` : imdbId;
-    const { data } = await radarr.get('/api/v3/movie/lookup', { params: { term } });
-    const results = (Array.isArray(data) ? data : []).slice(0, 20).map(it => {
-      let imgs = [];
-      if (it.images && Array.isArray(it.images) && it.images.length) imgs = it.images.map(i => i.remoteUrl || i.url || i.coverUrl || i.path || i.posterPath).filter(Boolean);
-      else if (it.posterPath || it.backdropPath) imgs = [it.posterPath || it.backdropPath];
-      else if (it.remotePoster) imgs = [it.remotePoster];
-      const images = makeImageUrlsArray(imgs);
-      return {
-        title: it.title || it.titleSlug,
-        tmdbId: it.tmdbId,
-        year: it.year,
-        overview: it.overview,
-        imageUrl: images[0] || null,
-        images
-      };
-    });
-    res.json(results);
+    const results = await inst.arr.lookup(imdbTerm(imdbId));
+    recordSearch(req, 'radarr', inst, imdbId, results);
+    res.json(withRoutes('radarr', results));
   } catch (err) {
+    recordSearch(req, 'radarr', inst, req.body && req.body.imdbId, null, err);
     logger.error('search/movieByImdb error: ' + safeString(err.response?.data || err.message));
     res.status(500).json({ error: 'search failed', details: err.response?.data || err.message });
   }
 });
 
 // Series by TMDB ID
-app.post('/api/search/seriesByTmdb', requireBasicAuth, async (req, res) => {
+app.post('/api/search/seriesByTmdb', requireAuth, async (req, res) => {
+  let inst;
   try {
     const { tmdbId } = req.body;
     if (!tmdbId) return res.status(400).json({ error: 'tmdbId required' });
+    inst = getInstance('sonarr', req.body.instance);
+    if (!inst) return unknownInstance(res, 'sonarr', req.body.instance);
     logger.info(`🔍 search/seriesByTmdb: ${tmdbId}`);
-    const { data } = await sonarr.get('/api/v3/series/lookup', { params: { term: String(tmdbId) } });
-    const results = (Array.isArray(data) ? data : []).slice(0, 20).map(item => {
-      let imgs = [];
-      if (item.series && item.series.images && Array.isArray(item.series.images) && item.series.images.length) {
-        imgs = item.series.images.map(i => i.remoteUrl || i.url || i.coverUrl || i.path || i.posterPath).filter(Boolean);
-      } else if (item.images && Array.isArray(item.images) && item.images.length) {
-        imgs = item.images.map(i => i.remoteUrl || i.url || i.coverUrl || i.path || i.posterPath).filter(Boolean);
-      } else if (item.imageUrl) {
-        imgs = [item.imageUrl];
-      } else if (item.remotePoster) {
-        imgs = [item.remotePoster];
-      }
-      const images = makeImageUrlsArray(imgs);
-      const tvdbId = item.tvdbId || item.series?.tvdbId || null;
-      const imdbId = item.imdbId || item.series?.imdbId || null;
-      const title = item.title || item.seriesTitle || item.series?.title || item.name || null;
-      const year = item.year || item.series?.year || null;
-      return { title, tvdbId, imdbId, year, overview: item.overview || item.series?.overview, imageUrl: images[0] || null, images, raw: item };
-    });
-    res.json(results);
+    const results = await inst.arr.lookup(String(tmdbId));
+    recordSearch(req, 'sonarr', inst, tmdbId, results);
+    res.json(withRoutes('sonarr', results));
   } catch (err) {
+    recordSearch(req, 'sonarr', inst, req.body && req.body.tmdbId, null, err);
     logger.error('search/seriesByTmdb error: ' + safeString(err.response?.data || err.message));
     res.status(500).json({ error: 'search failed', details: err.response?.data || err.message });
   }
 });
 
 // Series by IMDB ID
-app.post('/api/search/seriesByImdb', requireBasicAuth, async (req, res) => {
+app.post('/api/search/seriesByImdb', requireAuth, async (req, res) => {
+  let inst;
   try {
     const { imdbId } = req.body;
     if (!imdbId) return res.status(400).json({ error: 'imdbId required' });
+    inst = getInstance('sonarr', req.body.instance);
+    if (!inst) return unknownInstance(res, 'sonarr', req.body.instance);
     logger.info(`🔍 search/seriesByImdb: ${imdbId}`);
-    const term = imdbId.startsWith('tt') ? `imdb:${imdbId}` : imdbId;
-    const { data } = await sonarr.get('/api/v3/series/lookup', { params: { term } });
-    const results = (Array.isArray(data) ? data : []).slice(0, 20).map(item => {
-      let imgs = [];
-      if (item.series && item.series.images && Array.isArray(item.series.images) && item.series.images.length) {
-        imgs = item.series.images.map(i => i.remoteUrl || i.url || i.coverUrl || i.path || i.posterPath).filter(Boolean);
-      } else if (item.images && Array.isArray(item.images) && item.images.length) {
-        imgs = item.images.map(i => i.remoteUrl || i.url || i.coverUrl || i.path || i.posterPath).filter(Boolean);
-      } else if (item.imageUrl) {
-        imgs = [item.imageUrl];
-      } else if (item.remotePoster) {
-        imgs = [item.remotePoster];
-      }
-      const images = makeImageUrlsArray(imgs);
-      const tvdbId = item.tvdbId || item.series?.tvdbId || null;
-      const imdb = item.imdbId || item.series?.imdbId || null;
-      const title = item.title || item.seriesTitle || item.series?.title || item.name || null;
-      const year = item.year || item.series?.year || null;
-      return { title, tvdbId, imdbId: imdb, year, overview: item.overview || item.series?.overview, imageUrl: images[0] || null, images, raw: item };
-    });
-    res.json(results);
+    const results = await inst.arr.lookup(imdbTerm(imdbId));
+    recordSearch(req, 'sonarr', inst, imdbId, results);
+    res.json(withRoutes('sonarr', results));
   } catch (err) {
+    recordSearch(req, 'sonarr', inst, req.body && req.body.imdbId, null, err);
     logger.error('search/seriesByImdb error: ' + safeString(err.response?.data || err.message));
     res.status(500).json({ error: 'search failed', details: err.response?.data || err.message });
   }
 });
 
+/* -------------------------
+   Routing rules (instance / root folder / profile / tags from lookup metadata)
+   ------------------------- */
 
-// Add movie & add series endpoints (unchanged behavior)
-app.post('/api/add/movie', requireBasicAuth, async (req, res) => {
-  try {
-    const { tmdbId, title, rootFolderPath, qualityProfileId, monitored = true } = req.body;
-    if (!tmdbId) return res.status(400).json({ error: 'tmdbId required' });
-    const meta = await radarrGetDefaults();
-    const root = rootFolderPath || (meta.rootFolders[0] && meta.rootFolders[0].path) || process.env.RADARR_ROOT || '/movies';
-    const qp = Number(qualityProfileId || process.env.RADARR_QUALITY_PROFILE_ID || (meta.qualityProfiles[0] && meta.qualityProfiles[0].id) || 1);
-    const body = { tmdbId: Number(tmdbId), title: title || undefined, rootFolderPath: root, qualityProfileId: qp, monitored, addOptions: { searchForMovie: true } };
-    logger.info(`🎬 add/movie tmdb:${tmdbId} title:${title || '-'} root:${root} qp:${qp}`);
-    const r = await radarr.post('/api/v3/movie', body);
-    logger.info(`✅ Radarr add success tmdb:${tmdbId} id:${r.data && r.data.id}`);
-    await notifyTelegram(`✅ Movie added to Radarr: <b>${r.data.title}</b>\nTMDB: ${r.data.tmdbId}`);
-    return res.json({ added: true, movie: r.data });
-  } catch (err) {
-    logger.warn('Radarr add error: ' + safeString(err.response?.data || err.message));
-    // already exists handling
-    if (err?.response?.data) {
-      try {
-        const errors = Array.isArray(err.response.data) ? err.response.data : [];
-        const exists = errors.find(e => e.errorCode === 'MovieExistsValidator' || /already been added/i.test(e.errorMessage || ''));
-        if (exists) {
-          const tmdb = req.body.tmdbId || exists.formattedMessagePlaceholderValues?.propertyValue;
-          const found = await radarr.get('/api/v3/movie', { params: { tmdbId: tmdb } });
-          const movie = Array.isArray(found.data) && found.data.length ? found.data[0] : null;
-          if (movie) { logger.info(`ℹ️ Movie exists tmdb:${tmdb} id:${movie.id}`); return res.json({ added: false, reason: 'exists', movie }); }
-        }
-      } catch (fetchErr) { logger.error('Error fetching existing movie: ' + safeString(fetchErr.response?.data || fetchErr.message)); }
-    }
-    return res.status(500).json({ error: 'add failed', details: err.response?.data || err.message });
-  }
-});
+// what the first matching rule would do for a mapped lookup result; null when none matches
+function routeFor(kind, item) {
+  const rule = matchRule(db.rules, kind === 'radarr' ? 'movie' : 'series', ruleFacts(kind === 'radarr' ? 'movie' : 'series', item));
+  if (!rule) return null;
+  const a = rule.actions;
+  const inst = a.instance ? getInstance(kind, a.instance) : null;
+  if (a.instance && !inst) logger.warn(`rule "${rule.name}" names unknown ${kind} instance "${a.instance}"`);
+  return {
+    rule: { id: rule.id, name: rule.name },
+    instance: inst ? inst.key : null,
+    instanceName: inst ? inst.name : null,
+    rootFolderPath: a.rootFolderPath,
+    qualityProfileId: a.qualityProfileId,
+    tags: a.tags
+  };
+}
 
-app.post('/api/add/series', requireBasicAuth, async (req, res) => {
-  try {
-    const { tvdbId, imdbId, title, rootFolderPath, qualityProfileId, monitored = true, seasonFolder = true } = req.body;
-    if (!tvdbId && !imdbId && !title) return res.status(400).json({ error: 'tvdbId, imdbId or title required' });
-    const meta = await sonarrGetDefaults();
-    const root = rootFolderPath || (meta.rootFolders[0] && meta.rootFolders[0].path) || process.env.SONARR_ROOT || '/tv';
-    const qp = Number(qualityProfileId || process.env.SONARR_QUALITY_PROFILE_ID || (meta.qualityProfiles[0] && meta.qualityProfiles[0].id) || 1);
-    const body = {};
-    if (tvdbId) body.tvdbId = Number(tvdbId);
-    if (imdbId) body.imdbId = imdbId;
-    if (title && !tvdbId && !imdbId) body.title = title;
-    body.qualityProfileId = qp; body.rootFolderPath = root; body.monitored = monitored; body.seasonFolder = seasonFolder;
-    logger.info(`📺 add/series title:${title || '-'} tvdb:${tvdbId || '-'} imdb:${imdbId || '-'} root:${root} qp:${qp}`);
-    const r = await sonarr.post('/api/v3/series', body);
-    logger.info(`✅ Sonarr add success ${r.data.title} id:${r.data.id}`);
-    await notifyTelegram(`✅ Series added to Sonarr: <b>${r.data.title}</b>\nTVDB: ${r.data.tvdbId || 'n/a'}`);
-    return res.json({ added: true, series: r.data });
-  } catch (err) {
-    logger.warn('Sonarr add error: ' + safeString(err.response?.data || err.message));
-    if (err?.response?.data) {
-      try {
-        const all = await sonarr.get('/api/v3/series');
-        const match = all.data.find(s => (req.body.tvdbId && Number(s.tvdbId) === Number(req.body.tvdbId)) ||
-                                        (req.body.imdbId && s.imdbId === req.body.imdbId) ||
-                                        (req.body.title && s.title && s.title.toLowerCase() === req.body.title.toLowerCase()));
-        if (match) { logger.info('ℹ️ Series exists: ' + match.title); return res.json({ added: false, reason: 'exists', series: match }); }
-      } catch (fetchErr) { logger.error('Error fetching series list: ' + safeString(fetchErr.response?.data || fetchErr.message)); }
-    }
-    return res.status(500).json({ error: 'add failed', details: err.response?.data || err.message });
+// search responses carry the routing preview so the confirm modal and the bot can show it
+function withRoutes(kind, results) {
+  if (!db.rules.some(r => r.enabled)) return results;
+  return results.map(r => ({ ...r, route: routeFor(kind, r) }));
+}
+
+// the lookup result for an add, found by id (title only as a last resort)
+async function lookupForRules(kind, inst, p) {
+  if (kind === 'radarr') {
+    if (!p.tmdbId) return null;
+    return (await inst.arr.lookup(`tmdb:${p.tmdbId}`)).find(x => Number(x.tmdbId) === Number(p.tmdbId)) || null;
   }
-});
+  const term = p.tvdbId ? `tvdb:${p.tvdbId}` : p.imdbId ? imdbTerm(p.imdbId) : p.title;
+  if (!term) return null;
+  const found = await inst.arr.lookup(term);
+  return found.find(x => (p.tvdbId && Number(x.tvdbId) === Number(p.tvdbId)) || (p.imdbId && x.imdbId === p.imdbId)) || (p.tvdbId || p.imdbId ? null : found[0] || null);
+}
 
-/* -------------------------
-   Log management endpoints
-   ------------------------- */
-app.get('/api/logs', requireBasicAuth, (req, res) => {
+/**
+ * Rules fill in what the caller left open: the instance, then root folder, profile and tags. Folders and profiles
+ * belong to one instance, so those only apply when the add goes to the rule's instance (or the rule names none),
+ * and only when that instance still has them. Returns { params, route }.
+ */
+async function applyRules(kind, params) {
+  if (!db.rules.some(r => r.enabled)) return { params, route: null };
+  const lookupInst = getInstance(kind, params.instance);
+  if (!lookupInst) return { params, route: null };
+  let item = null;
   try {
-    const files = fs.readdirSync(LOG_DIR).filter(f => f.endsWith('.log') || f.endsWith('.gz'));
-    res.json({ ok: true, files });
+    item = await lookupForRules(kind, lookupInst, params);
   } catch (err) {
-    logger.error('Failed to list logs: ' + safeString(err.message));
-    res.status(500).json({ error: err.message });
+    logger.warn(`rules: lookup for ${kind} ${params.tmdbId || params.tvdbId || params.imdbId || params.title} failed, adding without rules: ` + safeString(err.response?.data || err.message));
   }
-});
-app.get('/api/logs/view', requireBasicAuth, (req, res) => {
+  const route = item && routeFor(kind, item);
+  if (!route) return { params, route: null };
+
+  const out = { ...params, instance: params.instance || route.instance || undefined };
+  const target = getInstance(kind, out.instance);
+  if (route.instance && target.key !== route.instance) {
+    logger.info(`📐 rule "${route.rule.name}" targets ${kind}/${route.instance}, add goes to ${target.key} — keeping that instance's defaults`);
+    return { params: out, route };
+  }
+  const meta = await arrGetDefaults(target);
+  if (!out.rootFolderPath && route.rootFolderPath) {
+    if (!meta.rootFolders.length || meta.rootFolders.some(f => f.path === route.rootFolderPath)) out.rootFolderPath = route.rootFolderPath;
+    else logger.warn(`rule "${route.rule.name}": ${target.name} has no root folder ${route.rootFolderPath}, using the default`);
+  }
+  if (!out.qualityProfileId && route.qualityProfileId) {
+    if (!meta.qualityProfiles.length || meta.qualityProfiles.some(q => q.id === route.qualityProfileId)) out.qualityProfileId = route.qualityProfileId;
+    else logger.warn(`rule "${route.rule.name}": ${target.name} has no quality profile ${route.qualityProfileId}, using the default`);
+  }
+  out.tags = [...new Set([...(Array.isArray(params.tags) ? params.tags : []), ...route.tags])];
+  logger.info(`📐 rule "${route.rule.name}" → ${kind}/${target.key} root:${out.rootFolderPath || '-'} qp:${out.qualityProfileId || '-'} tags:${out.tags.join(',') || '-'}`);
+  return { params: out, route };
+}
+
+// tag labels (from rules or the request) -> ids on the instance; a failure only costs the tags
+async function resolveTags(inst, labels) {
+  const valid = (Array.isArray(labels) ? labels : []).filter(l => typeof l === 'string' && /^[a-z0-9][a-z0-9-]*$/i.test(l.trim()));
+  if (!valid.length) return [];
   try {
-    const file = req.query.file;
-    if (!file) return res.status(400).json({ error: 'file query param required' });
-    const full = path.join(LOG_DIR, path.basename(file));
-    if (!fs.existsSync(full)) return res.status(404).json({ error: 'file not found' });
-    const data = fs.readFileSync(full, 'utf8');
-    res.type('text/plain').send(data);
+    return await inst.arr.tagIds(valid);
   } catch (err) {
-    logger.error('Failed to read log file: ' + safeString(err.message));
-    res.status(500).json({ error: err.message });
+    logger.warn(`tags ${valid.join(',')} on ${inst.kind}/${inst.key} failed: ` + safeString(err.response?.data || err.message));
+    return [];
+  }
+}
+
+function ruleInstanceError(rule) {
+  const key = rule.actions.instance;
+  if (!key) return null;
+  const kinds = rule.type === 'movie' ? ['radarr'] : rule.type === 'series' ? ['sonarr'] : ['radarr', 'sonarr'];
+  return kinds.some(kind => getInstance(kind, key)) ? null : `no ${kinds.join('/')} instance "${key}"`;
+}
+
+function recordRuleChange(req, action, rule, details) {
+  recordHistory({ action, actor: requesterFrom(req), target: { type: 'rule', title: rule ? rule.name : null }, details });
+}
+
+app.get('/api/rules', requireAuth, requireRole('admin'), (req, res) => {
+  res.json({ rules: db.rules, fields: RULE_FIELDS, ops: RULE_OPS });
+});
+
+app.post('/api/rules', requireAuth, requireRole('admin'), (req, res) => {
+  const { value, error } = validateRule(req.body);
+  if (error) return res.status(400).json({ error });
+  const instanceError = ruleInstanceError(value);
+  if (instanceError) return res.status(400).json({ error: instanceError });
+  const rule = { id: newId(), ...value, createdAt: new Date().toISOString() };
+  db.rules.push(rule);
+  saveData();
+  logger.info(`📐 rule "${rule.name}" created by ${req.user.username}`);
+  recordRuleChange(req, 'rule.create', rule);
+  res.status(201).json(rule);
+});
+
+// { ids: [...] } — the new evaluation order; every rule must be listed once
+app.put('/api/rules/order', requireAuth, requireRole('admin'), (req, res) => {
+  const ids = req.body && req.body.ids;
+  if (!Array.isArray(ids) || ids.length !== db.rules.length || new Set(ids).size !== ids.length || ids.some(id => !db.rules.some(r => r.id === id))) {
+    return res.status(400).json({ error: 'ids must list every rule id once' });
+  }
+  db.rules.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+  saveData();
+  recordRuleChange(req, 'rule.reorder', null, { order: db.rules.map(r => r.name) });
+  res.json({ rules: db.rules });
+});
+
+app.put('/api/rules/:id', requireAuth, requireRole('admin'), (req, res) => {
+  const rule = db.rules.find(r => r.id === req.params.id);
+  if (!rule) return res.status(404).json({ error: 'rule not found' });
+  const { value, error } = validateRule({ ...rule, ...req.body });
+  if (error) return res.status(400).json({ error });
+  const instanceError = ruleInstanceError(value);
+  if (instanceError) return res.status(400).json({ error: instanceError });
+  Object.assign(rule, value, { updatedAt: new Date().toISOString() });
+  saveData();
+  logger.info(`📐 rule "${rule.name}" updated by ${req.user.username}`);
+  recordRuleChange(req, 'rule.update', rule);
+  res.json(rule);
+});
+
+app.delete('/api/rules/:id', requireAuth, requireRole('admin'), (req, res) => {
+  const i = db.rules.findIndex(r => r.id === req.params.id);
+  if (i < 0) return res.status(404).json({ error: 'rule not found' });
+  const [rule] = db.rules.splice(i, 1);
+  saveData();
+  logger.info(`📐 rule "${rule.name}" deleted by ${req.user.username}`);
+  recordRuleChange(req, 'rule.delete', rule);
+  res.json({ ok: true });
+});
+
+// { type: movie|series, tmdbId|tvdbId|imdbId|title, instance? } — the facts a title gives and how every rule treats it
+app.post('/api/rules/preview', requireAuth, requireRole('admin'), async (req, res) => {
+  const body = req.body || {};
+  if (!['movie', 'series'].includes(body.type)) return res.status(400).json({ error: "type must be 'movie' or 'series'" });
+  const kind = body.type === 'movie' ? 'radarr' : 'sonarr';
+  const inst = getInstance(kind, body.instance);
+  if (!inst) return unknownInstance(res, kind, body.instance);
+  try {
+    const item = await lookupForRules(kind, inst, body);
+    if (!item) return res.status(404).json({ error: 'title not found' });
+    res.json({ title: item.title, year: item.year, facts: ruleFacts(body.type, item), route: routeFor(kind, item), rules: explainRules(db.rules, body.type, ruleFacts(body.type, item)) });
+  } catch (err) {
+    logger.error('rules preview error: ' + safeString(err.response?.data || err.message));
+    res.status(500).json({ error: 'lookup failed', details: err.response?.data || err.message });
+  }
+});
+
+/* -------------------------
+   Notifications (Telegram chats/topics, Discord, HTTP webhooks, email, Apprise URLs; one template per event)
+   ------------------------- */
+// Approval buttons, access requests, sync/import summaries and health warnings are admin chatter for the bot's chat
+// and stay on notifyTelegram; channels get the title events below.
+const sendNotification = createNotifier({
+  telegramHttp,
+  telegramToken: () => process.env.TELEGRAM_TOKEN,
+  defaultChatId: telegramNotifyChatId,
+  timeoutMs: Number(process.env.NOTIFY_TIMEOUT_MS || 10000)
+});
+
+// db.notifications = { channels: [{ id, name, type, enabled, events, config }], templates: { <event>: { text, poster } } }
+// The first run gets a Telegram channel to the notify chat for added/failed — what used to be hard-wired.
+function notificationStore() {
+  if (!db.notifications) {
+    db.notifications = {
+      channels: [{ id: newId(), name: 'Telegram notify chat', type: 'telegram', enabled: true, events: ['added', 'failed'], config: { chatId: null, topicId: null }, createdAt: new Date().toISOString() }],
+      templates: {}
+    };
+  }
+  return db.notifications;
+}
+
+function notificationTemplate(event) {
+  return notificationStore().templates[event] || DEFAULT_TEMPLATES[event];
+}
+
+function notificationMessage(event, data, template = notificationTemplate(event)) {
+  const vars = { ...data, event };
+  const { title, body } = renderTemplate(template.text, vars);
+  return { event, title, body, poster: template.poster ? data.poster || null : null, data: vars };
+}
+
+// returns the error text instead of throwing, so one broken channel doesn't hold up the rest
+async function deliverNotification(channel, msg) {
+  try {
+    await sendNotification(channel, msg);
+    metric.notifications.inc({ channel: channel.type, event: msg.event, outcome: 'sent' });
+    logger.info(`🔔 ${msg.event} → ${channel.name} (${channel.type})`);
+    return null;
+  } catch (err) {
+    const error = safeString(err.response?.data || err.message);
+    metric.notifications.inc({ channel: channel.type, event: msg.event, outcome: 'failed' });
+    logger.warn(`🔔 ${msg.event} → ${channel.name} (${channel.type}) failed: ${error}`);
+    return error;
+  }
+}
+
+// every enabled channel that takes the event; delivery runs in the background so a slow channel never holds up a response
+function notifyEvent(event, data) {
+  const channels = notificationStore().channels.filter(c => c.enabled && c.events.includes(event));
+  if (!channels.length) return;
+  Promise.resolve()
+    .then(() => {
+      const msg = notificationMessage(event, data);
+      return Promise.all(channels.map(c => deliverNotification(c, msg)));
+    })
+    .catch(err => logger.warn(`🔔 ${event} notification failed: ${safeString(err.message)}`));
+}
+
+// template variables (notify.js TEMPLATE_VARS) for an add: `out` is what createMovie/createSeries returned, `err` why it failed
+function addEventData(type, params, { out, err, decidedBy } = {}) {
+  const kind = type === 'movie' ? 'radarr' : 'sonarr';
+  const item = (out && (out.movie || out.series)) || {};
+  const inst = getInstance(kind, out ? out.instance.key : params.instance);
+  const title = item.title || params.title || null;
+  const year = item.year || params.year || null;
+  const tmdbId = item.tmdbId || params.tmdbId || null;
+  const tvdbId = item.tvdbId || params.tvdbId || null;
+  const images = item.images || [];
+  return {
+    type,
+    typeLabel: type === 'movie' ? 'Movie' : 'Series',
+    title,
+    year,
+    label: title ? `${title}${year ? ` (${year})` : ''}` : String(tmdbId || tvdbId || params.imdbId || ''),
+    instance: inst ? inst.name : params.instance || null,
+    ids: type === 'movie' ? (tmdbId ? `TMDB: ${tmdbId}` : null) : `TVDB: ${tvdbId || 'n/a'}`,
+    tmdbId,
+    tvdbId,
+    imdbId: item.imdbId || params.imdbId || null,
+    requester: params.requestedBy ? describeRequester(params.requestedBy) : null,
+    decidedBy: decidedBy ? describeRequester(decidedBy) : null,
+    rule: out && out.rule ? out.rule.name : null,
+    status: out ? existingStatus(out.existing) : null,
+    error: err ? safeString(err.response?.data || err.message) : null,
+    link: (inst && item.id && libraryState(inst, item)?.url) || null,
+    poster: makeImageUrl(images.find(i => i.coverType === 'poster') || images[0]) || params.imageUrl || null
+  };
+}
+
+function findNotificationChannel(req, res, id = req.params.id) {
+  const channel = notificationStore().channels.find(c => c.id === id);
+  if (!channel) res.status(404).json({ error: 'notification channel not found' });
+  return channel;
+}
+
+const notificationChannelView = channel => channelView(channel, maskSecret);
+
+function recordNotificationChange(req, action, title, details) {
+  recordHistory({ action, actor: requesterFrom(req), target: { type: 'notification', title }, details });
+}
+
+app.get('/api/notifications', requireAuth, requireRole('admin'), (req, res) => {
+  const store = notificationStore();
+  res.json({
+    events: NOTIFY_EVENTS,
+    types: CHANNEL_TYPES,
+    variables: TEMPLATE_VARS,
+    notifyChatId: telegramNotifyChatId(),
+    channels: store.channels.map(notificationChannelView),
+    templates: Object.fromEntries(NOTIFY_EVENTS.map(e => [e, { ...notificationTemplate(e), custom: !!store.templates[e], default: DEFAULT_TEMPLATES[e] }]))
+  });
+});
+
+app.post('/api/notifications/channels', requireAuth, requireRole('admin'), (req, res) => {
+  const { value, error } = validateChannel(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const channel = { id: newId(), ...value, createdAt: new Date().toISOString() };
+  notificationStore().channels.push(channel);
+  saveData();
+  logger.info(`🔔 notification channel "${channel.name}" (${channel.type}) created by ${req.user.username}`);
+  recordNotificationChange(req, 'notify.channel.create', channel.name, { type: channel.type, events: channel.events });
+  res.status(201).json(notificationChannelView(channel));
+});
+
+app.put('/api/notifications/channels/:id', requireAuth, requireRole('admin'), (req, res) => {
+  const channel = findNotificationChannel(req, res);
+  if (!channel) return;
+  const { id, createdAt, updatedAt, ...current } = channel;
+  const { value, error } = validateChannel(req.body || {}, current, maskSecret);
+  if (error) return res.status(400).json({ error });
+  Object.assign(channel, value, { updatedAt: new Date().toISOString() });
+  saveData();
+  logger.info(`🔔 notification channel "${channel.name}" updated by ${req.user.username}`);
+  recordNotificationChange(req, 'notify.channel.update', channel.name, { type: channel.type, enabled: channel.enabled, events: channel.events });
+  res.json(notificationChannelView(channel));
+});
+
+app.delete('/api/notifications/channels/:id', requireAuth, requireRole('admin'), (req, res) => {
+  const channel = findNotificationChannel(req, res);
+  if (!channel) return;
+  const { channels } = notificationStore();
+  channels.splice(channels.indexOf(channel), 1);
+  saveData();
+  logger.info(`🔔 notification channel "${channel.name}" deleted by ${req.user.username}`);
+  recordNotificationChange(req, 'notify.channel.delete', channel.name, { type: channel.type });
+  res.json({ ok: true });
+});
+
+app.put('/api/notifications/templates/:event', requireAuth, requireRole('admin'), (req, res) => {
+  const { event } = req.params;
+  if (!NOTIFY_EVENTS.includes(event)) return res.status(404).json({ error: `unknown event "${event}"`, events: NOTIFY_EVENTS });
+  const { value, error } = validateTemplate(req.body);
+  if (error) return res.status(400).json({ error });
+  notificationStore().templates[event] = value;
+  saveData();
+  recordNotificationChange(req, 'notify.template.update', event);
+  res.json({ ...value, custom: true, default: DEFAULT_TEMPLATES[event] });
+});
+
+// back to the built-in text
+app.delete('/api/notifications/templates/:event', requireAuth, requireRole('admin'), (req, res) => {
+  const { event } = req.params;
+  if (!NOTIFY_EVENTS.includes(event)) return res.status(404).json({ error: `unknown event "${event}"`, events: NOTIFY_EVENTS });
+  delete notificationStore().templates[event];
+  saveData();
+  recordNotificationChange(req, 'notify.template.update', event, { reset: true });
+  res.json({ ...DEFAULT_TEMPLATES[event], custom: false, default: DEFAULT_TEMPLATES[event] });
+});
+
+/**
+ * Sends sample data through one channel: { channelId } for a saved channel, { channel } for one not saved yet
+ * (with channelId too when editing — masked secrets then come from the saved one), optional { event, template }
+ * to try a template before saving it. Answers with what was sent, or 502 with the channel's error.
+ */
+app.post('/api/notifications/test', requireAuth, requireRole('admin'), async (req, res) => {
+  const body = req.body || {};
+  const event = body.event || 'added';
+  if (!NOTIFY_EVENTS.includes(event)) return res.status(400).json({ error: `event must be one of ${NOTIFY_EVENTS.join(', ')}` });
+  let channel = null;
+  if (body.channelId) {
+    channel = findNotificationChannel(req, res, body.channelId);
+    if (!channel) return;
+  }
+  if (body.channel) {
+    const { id, createdAt, updatedAt, ...current } = channel || {};
+    const { value, error } = validateChannel(body.channel, current, maskSecret);
+    if (error) return res.status(400).json({ error });
+    channel = value;
+  }
+  if (!channel) return res.status(400).json({ error: 'channelId or channel required' });
+  let template;
+  if (body.template) {
+    const out = validateTemplate(body.template);
+    if (out.error) return res.status(400).json({ error: out.error });
+    template = out.value;
+  }
+  const msg = notificationMessage(event, SAMPLE_DATA, template);
+  const error = await deliverNotification({ name: channel.name || 'test', ...channel }, msg);
+  if (error) return res.status(502).json({ error, sent: false });
+  res.json({ sent: true, event, title: msg.title, body: msg.body, poster: msg.poster });
+});
+
+/* -------------------------
+   Add logic (shared by direct adds and approved requests)
+   ------------------------- */
+
+async function createMovie({ instance, tmdbId, title, rootFolderPath, qualityProfileId, tags, monitored = true }) {
+  const inst = getInstance('radarr', instance);
+  if (!inst) throw new Error(`unknown radarr instance "${instance}"`);
+  const meta = await arrGetDefaults(inst);
+  const root = rootFolderPath || defaultRoot(inst, meta) || '/movies';
+  const qp = Number(qualityProfileId || defaultQualityProfileId(inst, meta) || 1);
+  const body = { tmdbId: Number(tmdbId), title: title || undefined, rootFolderPath: root, qualityProfileId: qp, monitored, tags: await resolveTags(inst, tags), addOptions: { searchForMovie: true } };
+  logger.info(`🎬 add/movie [${inst.key}] tmdb:${tmdbId} title:${title || '-'} root:${root} qp:${qp}${tags && tags.length ? ` tags:${tags.join(',')}` : ''}`);
+  try {
+    const r = await inst.client.post('/api/v3/movie', body);
+    logger.info(`✅ Radarr [${inst.key}] add success tmdb:${tmdbId} id:${r.data && r.data.id}`);
+    inst.arr.libraryChanged();
+    return { added: true, instance: instanceInfo(inst), movie: r.data };
+  } catch (err) {
+    logger.warn(`Radarr [${inst.key}] add error: ` + safeString(err.response?.data || err.message));
+    // already exists handling
+    if (err?.response?.data) {
+      try {
+        const errors = Array.isArray(err.response.data) ? err.response.data : [];
+        const exists = errors.find(e => e.errorCode === 'MovieExistsValidator' || /already been added/i.test(e.errorMessage || ''));
+        if (exists) {
+          const tmdb = tmdbId || exists.formattedMessagePlaceholderValues?.propertyValue;
+          const found = await inst.client.get('/api/v3/movie', { params: { tmdbId: tmdb } });
+          const movie = Array.isArray(found.data) && found.data.length ? found.data[0] : null;
+          if (movie) {
+            logger.info(`ℹ️ Movie exists [${inst.key}] tmdb:${tmdb} id:${movie.id}`);
+            return { added: false, reason: 'exists', instance: instanceInfo(inst), movie, existing: existingView(inst, movie, meta.qualityProfiles) };
+          }
+        }
+      } catch (fetchErr) { logger.error('Error fetching existing movie: ' + safeString(fetchErr.response?.data || fetchErr.message)); }
+    }
+    throw err;
+  }
+}
+
+// Sonarr's add-time monitoring strategies; 'seasons' means "only the seasons listed in `seasons`"
+const SERIES_MONITOR_MODES = ['all', 'future', 'missing', 'existing', 'firstSeason', 'latestSeason', 'none', 'seasons'];
+const SERIES_TYPES = ['standard', 'anime', 'daily'];
+
+function validateSeriesOptions({ monitor, seasons, seriesType }) {
+  if (monitor !== undefined && !SERIES_MONITOR_MODES.includes(monitor)) return `monitor must be one of ${SERIES_MONITOR_MODES.join(', ')}`;
+  if (seriesType !== undefined && !SERIES_TYPES.includes(seriesType)) return `seriesType must be one of ${SERIES_TYPES.join(', ')}`;
+  if (monitor === 'seasons' && (!Array.isArray(seasons) || !seasons.length)) return "seasons (array of season numbers) required when monitor is 'seasons'";
+  if (seasons !== undefined && (!Array.isArray(seasons) || seasons.some(n => !Number.isInteger(Number(n))))) return 'seasons must be an array of season numbers';
+  return null;
+}
+
+// Full season list with only the picked ones monitored (Sonarr would otherwise decide for unlisted seasons)
+async function buildSeasonSelection(inst, tvdbId, picked) {
+  const wanted = new Set(picked.map(Number));
+  let all = [];
+  if (tvdbId) {
+    try {
+      const match = (await inst.arr.lookup(`tvdb:${tvdbId}`)).find(x => Number(x.tvdbId) === Number(tvdbId));
+      all = match ? match.seasons : [];
+    } catch (err) {
+      logger.warn(`season lookup for tvdb:${tvdbId} failed: ` + safeString(err.response?.data || err.message));
+    }
+  }
+  const numbers = [...new Set([...all, ...wanted])].sort((a, b) => a - b);
+  return numbers.map(seasonNumber => ({ seasonNumber, monitored: wanted.has(seasonNumber) }));
+}
+
+async function createSeries({ instance, tvdbId, imdbId, title, rootFolderPath, qualityProfileId, tags, monitored = true, seasonFolder = true,
+  monitor = 'all', seasons, searchForMissingEpisodes = true, seriesType = 'standard' }) {
+  const inst = getInstance('sonarr', instance);
+  if (!inst) throw new Error(`unknown sonarr instance "${instance}"`);
+  const meta = await arrGetDefaults(inst);
+  const root = rootFolderPath || defaultRoot(inst, meta) || '/tv';
+  const qp = Number(qualityProfileId || defaultQualityProfileId(inst, meta) || 1);
+  const body = {};
+  if (tvdbId) body.tvdbId = Number(tvdbId);
+  if (imdbId) body.imdbId = imdbId;
+  if (title && !tvdbId && !imdbId) body.title = title;
+  body.qualityProfileId = qp; body.rootFolderPath = root; body.monitored = monitored; body.seasonFolder = seasonFolder;
+  body.seriesType = seriesType;
+  body.tags = await resolveTags(inst, tags);
+  body.addOptions = { searchForMissingEpisodes: !!searchForMissingEpisodes };
+  if (monitor === 'seasons') {
+    // no strategy: Sonarr then keeps the per-season monitored flags as sent
+    body.seasons = await buildSeasonSelection(inst, tvdbId, seasons);
+  } else {
+    body.addOptions.monitor = monitor;
+  }
+  logger.info(`📺 add/series [${inst.key}] title:${title || '-'} tvdb:${tvdbId || '-'} imdb:${imdbId || '-'} root:${root} qp:${qp} monitor:${monitor}${monitor === 'seasons' ? `(${seasons.join(',')})` : ''} type:${seriesType} search:${!!searchForMissingEpisodes}${tags && tags.length ? ` tags:${tags.join(',')}` : ''}`);
+  try {
+    const r = await inst.client.post('/api/v3/series', body);
+    logger.info(`✅ Sonarr [${inst.key}] add success ${r.data.title} id:${r.data.id}`);
+    inst.arr.libraryChanged();
+    return { added: true, instance: instanceInfo(inst), series: r.data };
+  } catch (err) {
+    logger.warn(`Sonarr [${inst.key}] add error: ` + safeString(err.response?.data || err.message));
+    if (err?.response?.data) {
+      try {
+        const all = await inst.client.get('/api/v3/series');
+        const match = all.data.find(s => (tvdbId && Number(s.tvdbId) === Number(tvdbId)) ||
+                                        (imdbId && s.imdbId === imdbId) ||
+                                        (title && s.title && s.title.toLowerCase() === title.toLowerCase()));
+        if (match) {
+          logger.info(`ℹ️ Series exists [${inst.key}]: ${match.title}`);
+          return { added: false, reason: 'exists', instance: instanceInfo(inst), series: match, existing: existingView(inst, match, meta.qualityProfiles) };
+        }
+      } catch (fetchErr) { logger.error('Error fetching series list: ' + safeString(fetchErr.response?.data || fetchErr.message)); }
+    }
+    throw err;
+  }
+}
+
+// routing rules fill in what the caller left open (see applyRules); the outcome names the rule that matched.
+// added/exists/failed go to the notification channels unless `notify: false` (bulk import and sync send a summary instead);
+// with `decidedBy` (an approved request) a success goes out as "approved" instead, so channels hear about it once.
+async function addTitle(type, params) {
+  const end = metric.addSeconds.startTimer({ type });
+  let routed = params;
+  try {
+    const applied = await applyRules(type === 'movie' ? 'radarr' : 'sonarr', params);
+    routed = applied.params;
+    const created = type === 'movie' ? await createMovie(routed) : await createSeries(routed);
+    const out = applied.route ? { ...created, rule: applied.route.rule } : created;
+    end({ outcome: out.added ? 'added' : 'exists' });
+    if (params.notify !== false) notifyEvent(params.decidedBy ? 'approved' : out.added ? 'added' : 'exists', addEventData(type, routed, { out, decidedBy: params.decidedBy }));
+    return out;
+  } catch (err) {
+    end({ outcome: 'failed' });
+    if (params.notify !== false) notifyEvent('failed', addEventData(type, routed, { err }));
+    throw err;
+  }
+}
+
+async function addMovie(params) {
+  return addTitle('movie', params);
+}
+
+async function addSeries(params) {
+  return addTitle('series', params);
+}
+
+// Direct add endpoints (no approval step — used by admins and scripts)
+app.post('/api/add/movie', requireAuth, requireRole('admin', 'trusted'), async (req, res) => {
+  if (!req.body) return res.status(400).json({ error: 'tmdbId required' });
+  try {
+    if (!req.body.tmdbId) return res.status(400).json({ error: 'tmdbId required' });
+    if (!getInstance('radarr', req.body.instance)) return unknownInstance(res, 'radarr', req.body.instance);
+    const out = await addMovie({ ...req.body, requestedBy: requesterFrom(req) });
+    recordAdd({ actor: actorFrom(req), type: 'movie', src: req.body, out });
+    return res.json(out);
+  } catch (err) {
+    recordAdd({ actor: actorFrom(req), type: 'movie', instance: req.body.instance, src: req.body, err });
+    return res.status(500).json({ error: 'add failed', details: err.response?.data || err.message });
+  }
+});
+
+app.post('/api/add/series', requireAuth, requireRole('admin', 'trusted'), async (req, res) => {
+  if (!req.body) return res.status(400).json({ error: 'tvdbId, imdbId or title required' });
+  try {
+    const { tvdbId, imdbId, title } = req.body;
+    if (!tvdbId && !imdbId && !title) return res.status(400).json({ error: 'tvdbId, imdbId or title required' });
+    const invalid = validateSeriesOptions(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (!getInstance('sonarr', req.body.instance)) return unknownInstance(res, 'sonarr', req.body.instance);
+    const out = await addSeries({ ...req.body, requestedBy: requesterFrom(req) });
+    recordAdd({ actor: actorFrom(req), type: 'series', src: req.body, out });
+    return res.json(out);
+  } catch (err) {
+    recordAdd({ actor: actorFrom(req), type: 'series', instance: req.body.instance, src: req.body, err });
+    return res.status(500).json({ error: 'add failed', details: err.response?.data || err.message });
+  }
+});
+
+/* -------------------------
+   Bulk import (IMDb CSV, Letterboxd, Trakt JSON, plain text)
+   ------------------------- */
+
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 500);
+const IMPORT_CONCURRENCY = 4;
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; } else if (c === '"') quoted = false; else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  const [header = [], ...body] = rows.filter(r => r.some(f => f.trim()));
+  const keys = header.map(h => h.trim().toLowerCase());
+  return body.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] || '').trim()])));
+}
+
+function detectImportFormat(content, filename = '') {
+  const head = content.trimStart();
+  if (head.startsWith('[') || head.startsWith('{') || /\.json$/i.test(filename)) return 'trakt';
+  const firstLine = head.split(/\r?\n/, 1)[0].toLowerCase();
+  if (firstLine.includes('letterboxd uri')) return 'letterboxd';
+  if (firstLine.includes('const') && firstLine.includes('title')) return 'imdb';
+  if (/\.csv$/i.test(filename) && firstLine.includes('title')) return 'csv';
+  return 'text';
+}
+
+const IMDB_SERIES_TYPES = ['tvseries', 'tvminiseries', 'tv series', 'tv mini series'];
+
+// every parser yields { title, year, imdbId, tmdbId, tvdbId, type } where type is 'movie', 'series' or null (use the default)
+const IMPORT_PARSERS = {
+  imdb: content => parseCsv(content).map(r => ({
+    title: r.title || null,
+    year: Number(r.year) || null,
+    imdbId: /^tt\d+$/.test(r.const) ? r.const : null,
+    type: IMDB_SERIES_TYPES.includes((r['title type'] || '').toLowerCase()) ? 'series' : r['title type'] ? 'movie' : null
+  })),
+  letterboxd: content => parseCsv(content).map(r => ({ title: r.name || r.title || null, year: Number(r.year) || null, type: 'movie' })),
+  // generic CSV: whatever of title/year/imdb/tmdb/tvdb columns exist
+  csv: content => parseCsv(content).map(r => ({
+    title: r.title || r.name || null,
+    year: Number(r.year) || null,
+    imdbId: (r.imdb || r.imdbid || r.imdb_id || '').match(/tt\d+/)?.[0] || null,
+    tmdbId: Number(r.tmdb || r.tmdbid || r.tmdb_id) || null,
+    tvdbId: Number(r.tvdb || r.tvdbid || r.tvdb_id) || null,
+    type: /^(series|show|tv)$/i.test(r.type || '') ? 'series' : /^movie$/i.test(r.type || '') ? 'movie' : null
+  })),
+  // Trakt export/watchlist JSON: [{ type, movie|show: { title, year, ids: { imdb, tmdb, tvdb } } }]
+  trakt: content => {
+    const parsed = JSON.parse(content);
+    const list = Array.isArray(parsed) ? parsed : parsed.items || [];
+    return list.map(entry => {
+      const show = entry.show || (entry.type === 'show' ? entry : null);
+      const item = entry.movie || show || entry;
+      const ids = item.ids || {};
+      return { title: item.title || null, year: item.year || null, imdbId: ids.imdb || null, tmdbId: ids.tmdb || null, tvdbId: ids.tvdb || null, type: show ? 'series' : entry.movie ? 'movie' : null };
+    });
+  },
+  // one title per line: "tt0133093", "tmdb:603", "tvdb:81189", "The Matrix (1999)", "Heat 1995"
+  text: content => content.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#')).map(line => {
+    const imdb = line.match(/\btt\d{5,}\b/);
+    if (imdb) return { imdbId: imdb[0] };
+    const id = line.match(/^(tmdb|tvdb)\s*[:#]\s*(\d+)$/i);
+    if (id) return id[1].toLowerCase() === 'tmdb' ? { tmdbId: Number(id[2]) } : { tvdbId: Number(id[2]), type: 'series' };
+    const m = line.match(/^(.*?)[\s(\[]*((?:19|20)\d{2})[)\]]?$/);
+    return m && m[1] ? { title: m[1].trim(), year: Number(m[2]) } : { title: line };
+  })
+};
+
+// 0..1: how sure we are that `candidate` is what the row meant
+function matchConfidence(row, candidate) {
+  const sameTitle = normalizeTitle(row.title) === normalizeTitle(candidate.title);
+  const yearDiff = row.year && candidate.year ? Math.abs(row.year - candidate.year) : null;
+  let score = sameTitle ? 0.8 : normalizeTitle(candidate.title).includes(normalizeTitle(row.title)) ? 0.5 : 0.3;
+  if (yearDiff === 0) score += 0.15;
+  else if (yearDiff === 1) score += 0.05;
+  else if (yearDiff !== null) score -= 0.3;
+  return Math.max(0, Math.min(0.95, Math.round(score * 100) / 100));
+}
+
+// Run `fn` over `items` with at most `limit` in flight — keeps the *arr lookups polite
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => { while (next < items.length) { const i = next++; out[i] = await fn(items[i], i); } };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+async function libraryIndex(inst) {
+  try {
+    const { items } = await fetchLibrary(inst);
+    return new Set(items.map(x => String(inst.kind === 'radarr' ? x.tmdbId : x.tvdbId)));
+  } catch (err) {
+    logger.warn(`library fetch (${inst.kind}/${inst.key}) failed: ` + safeString(err.response?.data || err.message));
+    return new Set();
+  }
+}
+
+// ids first (certain), then title search ranked by matchConfidence
+async function resolveImportRow(row, inst) {
+  const isMovie = inst.kind === 'radarr';
+  if (row.imdbId || (isMovie && row.tmdbId) || (!isMovie && row.tvdbId)) {
+    const term = row.imdbId ? imdbTerm(row.imdbId) : isMovie ? String(row.tmdbId) : `tvdb:${row.tvdbId}`;
+    const found = await inst.arr.lookup(term);
+    const exact = found.find(c => (row.imdbId && c.imdbId === row.imdbId) || (isMovie ? c.tmdbId === Number(row.tmdbId) : c.tvdbId === Number(row.tvdbId))) ||
+      (found.length === 1 ? found[0] : null);
+    if (exact) return { status: 'matched', confidence: 1, match: exact, candidates: [] };
+    if (!row.title) return { status: 'not-found', confidence: 0, match: null, candidates: [] };
+  }
+  if (!row.title) return { status: 'not-found', confidence: 0, match: null, candidates: [] };
+  const found = await inst.arr.lookup(row.year ? `${row.title} ${row.year}` : row.title);
+  const ranked = found.map(c => ({ ...c, confidence: matchConfidence(row, c) })).sort((a, b) => b.confidence - a.confidence).slice(0, 5);
+  if (!ranked.length) return { status: 'not-found', confidence: 0, match: null, candidates: [] };
+  const [best, second] = ranked;
+  // nothing plausible: still hand back the candidates so the user can pick one by hand
+  if (best.confidence < 0.3) return { status: 'not-found', confidence: 0, match: null, candidates: ranked };
+  const clear = best.confidence >= 0.8 && (!second || second.confidence < best.confidence);
+  return { status: clear ? 'matched' : 'ambiguous', confidence: best.confidence, match: best, candidates: clear ? [] : ranked };
+}
+
+function slimResult(c) {
+  if (!c) return null;
+  const { raw, images, overview, ...rest } = c;
+  return rest;
+}
+
+// Dry run: parse + resolve every row, nothing is added
+app.post('/api/import/preview', requireAuth, requireRole('admin', 'trusted'), async (req, res) => {
+  const { content, filename, defaultType = 'movie', radarrInstance, sonarrInstance } = req.body;
+  if (!content || typeof content !== 'string') return res.status(400).json({ error: 'content (file text) required' });
+  const format = req.body.format && req.body.format !== 'auto' ? req.body.format : detectImportFormat(content, filename);
+  if (!IMPORT_PARSERS[format]) return res.status(400).json({ error: `format must be one of auto, ${Object.keys(IMPORT_PARSERS).join(', ')}` });
+  const radarr = getInstance('radarr', radarrInstance);
+  if (!radarr) return unknownInstance(res, 'radarr', radarrInstance);
+  const sonarr = getInstance('sonarr', sonarrInstance);
+  if (!sonarr) return unknownInstance(res, 'sonarr', sonarrInstance);
+
+  let rows;
+  try {
+    rows = IMPORT_PARSERS[format](content).filter(r => r.title || r.imdbId || r.tmdbId || r.tvdbId);
+  } catch (err) {
+    return res.status(400).json({ error: `could not parse ${format} file: ${err.message}` });
+  }
+  if (rows.length > IMPORT_MAX_ROWS) return res.status(413).json({ error: `too many rows (${rows.length}, max ${IMPORT_MAX_ROWS})` });
+  logger.info(`📥 import preview: ${rows.length} rows (${format}${filename ? `, ${filename}` : ''})`);
+
+  const [movieLib, seriesLib] = await Promise.all([libraryIndex(radarr), libraryIndex(sonarr)]);
+  const items = await mapLimit(rows, IMPORT_CONCURRENCY, async (row, index) => {
+    const type = row.type || (row.tvdbId ? 'series' : defaultType === 'series' ? 'series' : 'movie');
+    const inst = type === 'movie' ? radarr : sonarr;
+    try {
+      const out = await resolveImportRow(row, inst);
+      const key = out.match && String(type === 'movie' ? out.match.tmdbId : out.match.tvdbId);
+      return { index, input: row, type, instance: inst.key, ...out, match: slimResult(out.match), candidates: out.candidates.map(slimResult),
+        inLibrary: !!key && (type === 'movie' ? movieLib : seriesLib).has(key) };
+    } catch (err) {
+      return { index, input: row, type, instance: inst.key, status: 'error', confidence: 0, match: null, candidates: [], inLibrary: false,
+        error: safeString(err.response?.data || err.message) };
+    }
+  });
+  const summary = items.reduce((acc, it) => { acc[it.status] = (acc[it.status] || 0) + 1; if (it.inLibrary) acc.inLibrary++; return acc; }, { total: items.length, inLibrary: 0 });
+  res.json({ format, summary, items });
+});
+
+// Add the confirmed items one by one; each gets its own result so a failure doesn't stop the batch
+app.post('/api/import/commit', requireAuth, requireRole('admin', 'trusted'), async (req, res) => {
+  const { items, movieOptions = {}, seriesOptions = {} } = req.body;
+  if (!Array.isArray(items) || !items.length) return res.status(400).json({ error: 'items required' });
+  if (items.length > IMPORT_MAX_ROWS) return res.status(413).json({ error: `too many items (max ${IMPORT_MAX_ROWS})` });
+  const invalid = validateSeriesOptions(seriesOptions);
+  if (invalid) return res.status(400).json({ error: invalid });
+  logger.info(`📥 import commit: ${items.length} items`);
+  const actor = actorFrom(req);
+  const results = [];
+  for (const it of items) {
+    const base = { title: it.title || null, year: it.year || null, type: it.type, instance: it.instance || null };
+    try {
+      if (it.type === 'movie') {
+        if (!it.tmdbId) throw new Error('tmdbId required');
+        const out = await addMovie({ ...movieOptions, instance: it.instance, tmdbId: it.tmdbId, title: it.title, notify: false });
+        recordAdd({ actor, type: 'movie', src: it, out, details: { via: 'import' } });
+        results.push({ ...base, status: out.added ? 'added' : 'exists', arrId: out.movie && out.movie.id });
+      } else if (it.type === 'series') {
+        if (!it.tvdbId && !it.imdbId) throw new Error('tvdbId or imdbId required');
+        const out = await addSeries({ ...seriesOptions, instance: it.instance, tvdbId: it.tvdbId, imdbId: it.imdbId, title: it.title, notify: false });
+        recordAdd({ actor, type: 'series', src: it, out, details: { via: 'import' } });
+        results.push({ ...base, status: out.added ? 'added' : 'exists', arrId: out.series && out.series.id });
+      } else {
+        throw new Error("type must be 'movie' or 'series'");
+      }
+    } catch (err) {
+      if (it.type === 'movie' || it.type === 'series') recordAdd({ actor, type: it.type, instance: it.instance, src: it, err, details: { via: 'import' } });
+      results.push({ ...base, status: 'failed', error: safeString(err.response?.data || err.message) });
+    }
+  }
+  const summary = results.reduce((acc, r) => { acc[r.status] = (acc[r.status] || 0) + 1; return acc; }, { total: results.length });
+  logger.info(`📥 import done: ${safeString(summary)}`);
+  // one summary instead of a message per title
+  if (summary.added) await notifyTelegram(`📥 Bulk import: ${summary.added} added, ${summary.exists || 0} already present, ${summary.failed || 0} failed`);
+  res.json({ summary, results });
+});
+
+/* -------------------------
+   Telegram users (allowlist, roles, quotas)
+   ------------------------- */
+
+// admin: approves requests and manages users • trusted: adds directly • requester: needs approval
+// 'pending' marks someone who asked for access and has no rights yet
+const TG_ROLES = ['admin', 'trusted', 'requester'];
+
+const QUOTA_WINDOW_DAYS = Number(process.env.QUOTA_WINDOW_DAYS || 7);
+
+function envQuota(name) {
+  const v = process.env[name];
+  return v === undefined || v === '' ? null : Number(v);
+}
+
+// TELEGRAM_ADMIN_IDS are always admins, even if someone edits the stored registry
+function seedTelegramAdmins() {
+  const ids = (process.env.TELEGRAM_ADMIN_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
+  let changed = false;
+  for (const id of ids) {
+    const u = db.telegramUsers.find(x => x.id === id);
+    if (!u) { db.telegramUsers.push({ id, username: null, name: null, role: 'admin', createdAt: new Date().toISOString(), grantedBy: 'env' }); changed = true; }
+    else if (u.role !== 'admin') { u.role = 'admin'; changed = true; }
+  }
+  if (changed) saveData();
+  if (!db.telegramUsers.some(u => u.role === 'admin')) logger.warn('No Telegram admins configured (TELEGRAM_ADMIN_IDS) — requests can only be approved from the web UI');
+}
+
+// accepts a numeric id or "@username"
+function findTelegramUser(ref) {
+  if (ref == null) return null;
+  const s = String(ref).trim();
+  if (s.startsWith('@')) return db.telegramUsers.find(u => u.username && u.username.toLowerCase() === s.slice(1).toLowerCase()) || null;
+  return db.telegramUsers.find(u => u.id === s) || null;
+}
+
+// null means unlimited; per-user overrides win over the role defaults from env
+function quotaFor(user) {
+  if (user.role === 'admin') return { movies: null, series: null };
+  const prefix = user.role === 'trusted' ? 'QUOTA_TRUSTED' : 'QUOTA_REQUESTER';
+  const own = user.quota || {};
+  return {
+    movies: own.movies != null ? own.movies : envQuota(`${prefix}_MOVIES`),
+    series: own.series != null ? own.series : envQuota(`${prefix}_SERIES`)
+  };
+}
+
+// requests in the rolling window that count against the quota: queued, in flight or approved.
+// Rejections don't, and neither do failed adds — a Radarr/Sonarr outage shouldn't use up anyone's allowance.
+const QUOTA_STATUSES = ['pending', 'processing', 'approved'];
+
+function usageFor(userId) {
+  const since = Date.now() - QUOTA_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const mine = db.requests.filter(r => r.requestedBy && r.requestedBy.source === 'telegram' && r.requestedBy.id === String(userId) &&
+    QUOTA_STATUSES.includes(r.status) && Date.parse(r.createdAt) >= since);
+  return { movies: mine.filter(r => r.type === 'movie').length, series: mine.filter(r => r.type === 'series').length, windowDays: QUOTA_WINDOW_DAYS };
+}
+
+function telegramUserView(u) {
+  return { ...u, quota: quotaFor(u), usage: usageFor(u.id) };
+}
+
+app.get('/api/telegram/users', requireAuth, requireRole('admin'), (req, res) => {
+  const { role } = req.query;
+  res.json(db.telegramUsers.filter(u => !role || u.role === role).map(telegramUserView));
+});
+
+app.get('/api/telegram/users/:id', requireAuth, requireRole('admin'), (req, res) => {
+  const u = findTelegramUser(req.params.id);
+  if (!u) return res.status(404).json({ error: 'user not found' });
+  res.json(telegramUserView(u));
+});
+
+// Unknown user asks for access: store them as 'pending' and ping the admins
+app.post('/api/telegram/users/access-request', requireAuth, requireRole('admin'), async (req, res) => {
+  const { id, username, name, chatId } = req.body;
+  if (!id) return res.status(400).json({ error: 'id required' });
+  let u = findTelegramUser(String(id));
+  if (u && u.role !== 'pending') return res.json({ created: false, reason: 'has-access', user: telegramUserView(u) });
+  if (u) return res.json({ created: false, reason: 'duplicate', user: u });
+  u = { id: String(id), username: username || null, name: name || null, chatId: chatId ? String(chatId) : String(id), role: 'pending', createdAt: new Date().toISOString() };
+  db.telegramUsers.push(u);
+  saveData();
+  logger.info(`🙋 access request from telegram user ${u.id} (${u.username || u.name || '-'})`);
+  const who = escapeHtml(u.username ? '@' + u.username : u.name || u.id);
+  const keyboard = { inline_keyboard: [[
+    { text: '✅ Requester', callback_data: `UG|${u.id}|requester` },
+    { text: '⭐ Trusted', callback_data: `UG|${u.id}|trusted` },
+    { text: '❌ Deny', callback_data: `UD|${u.id}` }
+  ]] };
+  await notifyTelegram(`🙋 Access request from ${who} (id ${u.id})`, { reply_markup: keyboard });
+  res.json({ created: true, user: u });
+});
+
+// Grant / change role / set quota; creates the user when granting someone who never wrote to the bot
+app.put('/api/telegram/users/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  const { role, quota, username, name, by } = req.body;
+  if (role !== undefined && !TG_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${TG_ROLES.join(', ')}` });
+  let u = findTelegramUser(req.params.id);
+  if (!u || u.role === 'pending') {
+    if (!role) return res.status(u ? 400 : 404).json({ error: u ? 'role required' : 'user not found' });
+    if (!u && !/^\d+$/.test(req.params.id)) return res.status(404).json({ error: 'user not found — use the numeric Telegram id for new users' });
+  }
+  if (!u) {
+    u = { id: req.params.id, username: username || null, name: name || null, role: 'pending', createdAt: new Date().toISOString() };
+    db.telegramUsers.push(u);
+  }
+  const wasPending = u.role === 'pending';
+  if (role) { u.role = role; u.grantedBy = by ? describeRequester(by) : 'web'; }
+  if (quota !== undefined) {
+    u.quota = quota ? { movies: quota.movies != null && quota.movies !== '' ? Number(quota.movies) : null, series: quota.series != null && quota.series !== '' ? Number(quota.series) : null } : undefined;
+  }
+  if (username) u.username = username;
+  if (name) u.name = name;
+  u.updatedAt = new Date().toISOString();
+  saveData();
+  logger.info(`🔑 telegram user ${u.id} role:${u.role} quota:${safeString(u.quota || 'default')}`);
+  recordHistory({ action: 'user.update', actor: by || requesterFrom(req), target: { type: 'user', id: u.id, username: u.username }, details: { role: u.role, quota: u.quota || null } });
+  if (wasPending) await sendTelegram(u.chatId || u.id, `✅ You now have access as <b>${u.role}</b>. Try /searchmovie or /searchseries.`);
+  res.json(telegramUserView(u));
+});
+
+// Remember a user's last add choices per instance so the bot can offer them as defaults
+app.put('/api/telegram/users/:id/prefs', requireAuth, requireRole('admin'), (req, res) => {
+  const u = findTelegramUser(req.params.id);
+  if (!u) return res.status(404).json({ error: 'user not found' });
+  const { kind, instance, rootFolderPath, qualityProfileId, monitored, monitor, seriesType, searchForMissingEpisodes } = req.body;
+  if (kind !== 'radarr' && kind !== 'sonarr') return res.status(400).json({ error: "kind must be 'radarr' or 'sonarr'" });
+  const inst = getInstance(kind, instance);
+  if (!inst) return unknownInstance(res, kind, instance);
+  u.prefs = u.prefs || {};
+  u.prefs[kind] = u.prefs[kind] || {};
+  const prefs = { rootFolderPath: rootFolderPath || undefined, qualityProfileId: qualityProfileId || undefined, monitored: monitored !== false };
+  // season picks are title specific, so only the general series options are remembered
+  if (kind === 'sonarr') {
+    prefs.monitor = SERIES_MONITOR_MODES.includes(monitor) && monitor !== 'seasons' ? monitor : undefined;
+    prefs.seriesType = SERIES_TYPES.includes(seriesType) ? seriesType : undefined;
+    prefs.searchForMissingEpisodes = searchForMissingEpisodes === undefined ? undefined : !!searchForMissingEpisodes;
+  }
+  u.prefs[kind][inst.key] = prefs;
+  saveData();
+  res.json(telegramUserView(u));
+});
+
+app.delete('/api/telegram/users/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  const u = findTelegramUser(req.params.id);
+  if (!u) return res.status(404).json({ error: 'user not found' });
+  const envAdmins = (process.env.TELEGRAM_ADMIN_IDS || '').split(',').map(s => s.trim());
+  if (envAdmins.includes(u.id)) return res.status(400).json({ error: 'user is an admin via TELEGRAM_ADMIN_IDS — remove them there' });
+  db.telegramUsers = db.telegramUsers.filter(x => x !== u);
+  saveData();
+  logger.info(`🚫 telegram user ${u.id} revoked (was ${u.role})`);
+  recordHistory({ action: 'user.revoke', actor: actorFrom(req), target: { type: 'user', id: u.id, username: u.username }, details: { role: u.role } });
+  if (u.role === 'pending' && req.body && req.body.notify !== false) await sendTelegram(u.chatId || u.id, 'Sorry, your access request was declined.');
+  res.json({ ok: true, user: u });
+});
+
+/* -------------------------
+   Request queue (pending → approved / rejected)
+   ------------------------- */
+
+// Who is asking: the bot (an admin account) passes `requester`; everyone else is the signed-in user ('api' when using a token)
+function requesterFrom(req) {
+  const r = req.body && req.body.requester;
+  if (r && r.source === 'telegram' && req.user.role === 'admin') {
+    return { source: 'telegram', id: r.id ? String(r.id) : null, username: r.username || null, chatId: r.chatId ? String(r.chatId) : null };
+  }
+  return { source: req.user.via === 'token' ? 'api' : 'web', id: req.user.id, username: req.user.username, chatId: null };
+}
+
+// non-admin web users only see what they asked for themselves
+function ownsRequest(req, r) {
+  return req.user.role === 'admin' || (!!r.requestedBy && ['web', 'api'].includes(r.requestedBy.source) && r.requestedBy.id === req.user.id);
+}
+
+function describeRequester(who) {
+  if (!who) return 'unknown';
+  const name = who.username ? (who.source === 'telegram' ? '@' + who.username : who.username) : who.id;
+  return `${name || 'unknown'} (${who.source})`;
+}
+
+function requestLabel(r) {
+  return r.title ? `${r.title}${r.year ? ` (${r.year})` : ''}` : (r.tmdbId || r.tvdbId || r.imdbId || r.id);
+}
+
+function findOpenRequest(type, instance, { tmdbId, tvdbId, imdbId, title }) {
+  return db.requests.find(r => r.status === 'pending' && r.type === type && requestInstanceKey(r) === instance && (
+    (tmdbId && String(r.tmdbId) === String(tmdbId)) ||
+    (tvdbId && String(r.tvdbId) === String(tvdbId)) ||
+    (imdbId && r.imdbId === imdbId) ||
+    (!tmdbId && !tvdbId && !imdbId && title && r.title && r.title.toLowerCase() === String(title).toLowerCase())
+  ));
+}
+
+function requestKind(r) {
+  return r.type === 'movie' ? 'radarr' : 'sonarr';
+}
+
+// requests queued before multi-instance support have no instance; they always went to the default one
+function requestInstanceKey(r) {
+  const inst = getInstance(requestKind(r), r.instance);
+  return inst ? inst.key : r.instance;
+}
+
+function requestTargetName(r) {
+  const inst = getInstance(requestKind(r), r.instance);
+  return inst ? inst.name : r.instance;
+}
+
+async function notifyAdminsOfRequest(r) {
+  const ids = r.type === 'movie' ? `TMDB: ${r.tmdbId}` : `TVDB: ${r.tvdbId || 'n/a'}`;
+  const text = `📝 New ${r.type} request: <b>${escapeHtml(requestLabel(r))}</b>\n${ids}\nTarget: ${escapeHtml(requestTargetName(r))}\nFrom: ${escapeHtml(describeRequester(r.requestedBy))}`;
+  const keyboard = { inline_keyboard: [[{ text: '✅ Approve', callback_data: `QA|${r.id}` }, { text: '❌ Reject', callback_data: `QR|${r.id}` }]] };
+  await notifyTelegram(text, { reply_markup: keyboard });
+}
+
+// Tell the requester (Telegram only) how their request ended
+async function notifyRequester(r) {
+  const who = r.requestedBy;
+  if (!who || who.source !== 'telegram' || !who.chatId) return;
+  const label = `<b>${escapeHtml(requestLabel(r))}</b>`;
+  let text;
+  if (r.status === 'rejected') text = `❌ Your request for ${label} was rejected.${r.reason ? `\nReason: ${escapeHtml(r.reason)}` : ''}`;
+  else if (r.status === 'failed') text = `⚠️ Your request for ${label} was approved but could not be added. An admin has been informed.`;
+  else if (r.result && r.result.reason === 'exists') text = `ℹ️ Your request for ${label} was approved — it is already in the library${r.result.existing ? `: ${escapeHtml(existingStatus(r.result.existing))}` : ''}.`;
+  else text = `✅ Your request for ${label} was approved and added to ${escapeHtml(requestTargetName(r))}.`;
+  await sendTelegram(who.chatId, text);
+}
+
+// a new pending request; callers have already checked the instance, access and duplicates.
+// `instancePicked: false` means the caller left the instance open, so the routing rules may still move it on approval.
+function createRequest({ type, instance, instancePicked = true, title, year, tmdbId, tvdbId, imdbId, imageUrl, options, requestedBy }) {
+  const now = new Date().toISOString();
+  const r = {
+    id: newId(),
+    type,
+    instance,
+    instancePicked,
+    status: 'pending',
+    title: title || null,
+    year: year || null,
+    tmdbId: tmdbId ? Number(tmdbId) : null,
+    tvdbId: tvdbId ? Number(tvdbId) : null,
+    imdbId: imdbId || null,
+    imageUrl: imageUrl || null,
+    options,
+    requestedBy,
+    createdAt: now,
+    updatedAt: now
+  };
+  db.requests.push(r);
+  saveData();
+  logger.info(`📝 request ${r.id} ${type} "${requestLabel(r)}" by ${describeRequester(r.requestedBy)}`);
+  return r;
+}
+
+// Run an approved request through the normal add logic and record the outcome
+// (the channels get "approved", or "failed" with the requester in it, from addTitle)
+async function processRequest(r, { notify = true } = {}) {
+  const opts = { ...r.options, instance: r.instancePicked === false ? undefined : r.instance, tmdbId: r.tmdbId, tvdbId: r.tvdbId, imdbId: r.imdbId, title: r.title, year: r.year, imageUrl: r.imageUrl, requestedBy: r.requestedBy, decidedBy: r.decidedBy };
+  try {
+    const out = r.type === 'movie' ? await addMovie(opts) : await addSeries(opts);
+    const item = out.movie || out.series;
+    r.status = 'approved';
+    if (out.instance) r.instance = out.instance.key;
+    r.result = { added: out.added, reason: out.reason || null, arrId: item && item.id, existing: out.existing };
+    recordAdd({ actor: r.decidedBy, type: r.type, src: { ...r, requestId: r.id }, out, details: { via: 'request' } });
+  } catch (err) {
+    recordAdd({ actor: r.decidedBy, type: r.type, instance: r.instance, src: { ...r, requestId: r.id }, err, details: { via: 'request' } });
+    r.status = 'failed';
+    r.result = { added: false, reason: 'error', error: safeString(err.response?.data || err.message) };
+  }
+  r.updatedAt = new Date().toISOString();
+  saveData();
+  if (notify) await notifyRequester(r);
+  return r;
+}
+
+app.get('/api/requests', requireAuth, (req, res) => {
+  const { status } = req.query;
+  const list = db.requests.filter(r => (!status || r.status === status) && ownsRequest(req, r));
+  res.json(list.slice().reverse());
+});
+
+app.get('/api/requests/:id', requireAuth, (req, res) => {
+  const r = db.requests.find(x => x.id === req.params.id && ownsRequest(req, x));
+  if (!r) return res.status(404).json({ error: 'request not found' });
+  res.json(r);
+});
+
+app.post('/api/requests', requireAuth, async (req, res) => {
+  const { type, instance, tmdbId, tvdbId, imdbId, title, year, imageUrl, rootFolderPath, qualityProfileId, monitored, seasonFolder,
+    monitor, seasons, searchForMissingEpisodes, seriesType } = req.body;
+  if (type !== 'movie' && type !== 'series') return res.status(400).json({ error: "type must be 'movie' or 'series'" });
+  if (type === 'movie' && !tmdbId) return res.status(400).json({ error: 'tmdbId required' });
+  if (type === 'series' && !tvdbId && !imdbId && !title) return res.status(400).json({ error: 'tvdbId, imdbId or title required' });
+  if (type === 'series') {
+    const invalid = validateSeriesOptions(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+  }
+  const kind = type === 'movie' ? 'radarr' : 'sonarr';
+  const inst = getInstance(kind, instance);
+  if (!inst) return unknownInstance(res, kind, instance);
+
+  const requestedBy = requesterFrom(req);
+  let tgUser = null;
+  if (requestedBy.source === 'telegram') {
+    tgUser = findTelegramUser(requestedBy.id);
+    if (!tgUser || tgUser.role === 'pending') {
+      recordHistory({ action: 'request', actor: requestedBy, kind, instance: inst.key, target: historyTarget(type, req.body), result: 'forbidden' });
+      return res.status(403).json({ created: false, reason: 'forbidden', error: 'telegram user has no access' });
+    }
+    const quota = quotaFor(tgUser);
+    const usage = usageFor(tgUser.id);
+    const bucket = type === 'movie' ? 'movies' : 'series';
+    if (quota[bucket] != null && usage[bucket] >= quota[bucket]) {
+      logger.info(`⛔ quota hit for telegram user ${tgUser.id}: ${usage[bucket]}/${quota[bucket]} ${bucket}`);
+      recordHistory({ action: 'request', actor: requestedBy, kind, instance: inst.key, target: historyTarget(type, req.body), result: 'quota', details: { quota, usage } });
+      return res.status(429).json({ created: false, reason: 'quota', error: 'quota exceeded', quota, usage });
+    }
+    if (requestedBy.username && tgUser.username !== requestedBy.username) { tgUser.username = requestedBy.username; }
+  }
+
+  const existing = findOpenRequest(type, inst.key, req.body);
+  if (existing) {
+    recordHistory({ action: 'request', actor: requestedBy, kind, instance: inst.key, target: historyTarget(type, { ...req.body, requestId: existing.id }), result: 'duplicate' });
+    return res.json({ created: false, reason: 'duplicate', request: existing });
+  }
+
+  const r = createRequest({
+    type, instance: inst.key, instancePicked: !!instance, title, year, tmdbId, tvdbId, imdbId, imageUrl, requestedBy,
+    options: type === 'series'
+      ? { rootFolderPath, qualityProfileId, monitored, seasonFolder, monitor, seasons, searchForMissingEpisodes, seriesType }
+      : { rootFolderPath, qualityProfileId, monitored }
+  });
+  // the Telegram user's role for requests the bot relays, the signed-in user's (or API token owner's) otherwise
+  const role = tgUser ? tgUser.role : req.user.role;
+  const autoApprove = role === 'trusted' || role === 'admin';
+  recordHistory({ action: 'request', actor: requestedBy, kind, instance: inst.key, target: historyTarget(type, { ...r, requestId: r.id }), result: 'created',
+    details: autoApprove ? { autoApproved: true } : undefined });
+
+  // trusted users and admins skip the queue
+  if (autoApprove) {
+    r.decidedBy = { source: 'auto', id: null, username: `${role} role`, chatId: null };
+    r.status = 'processing';
+    logger.info(`👍 request ${r.id} auto-approved (${role})`);
+    return res.json({ created: true, autoApproved: true, request: await processRequest(r, { notify: false }) });
+  }
+
+  await notifyAdminsOfRequest(r);
+  res.json({ created: true, request: r });
+});
+
+app.post('/api/requests/:id/approve', requireAuth, requireRole('admin'), async (req, res) => {
+  const r = db.requests.find(x => x.id === req.params.id);
+  if (!r) return res.status(404).json({ error: 'request not found' });
+  if (r.status !== 'pending') return res.status(409).json({ error: `request already ${r.status}`, request: r });
+  r.decidedBy = actorFrom(req);
+  r.status = 'processing'; // guards against a second approve while the add is in flight
+  logger.info(`👍 request ${r.id} approved by ${describeRequester(r.decidedBy)}`);
+  recordHistory({ action: 'approve', actor: r.decidedBy, kind: requestKind(r), instance: r.instance, target: historyTarget(r.type, { ...r, requestId: r.id }) });
+  res.json({ ok: true, request: await processRequest(r) });
+});
+
+app.post('/api/requests/:id/reject', requireAuth, requireRole('admin'), async (req, res) => {
+  const r = db.requests.find(x => x.id === req.params.id);
+  if (!r) return res.status(404).json({ error: 'request not found' });
+  if (r.status !== 'pending') return res.status(409).json({ error: `request already ${r.status}`, request: r });
+  r.status = 'rejected';
+  r.reason = (req.body && req.body.reason) || null;
+  r.decidedBy = actorFrom(req);
+  r.updatedAt = new Date().toISOString();
+  saveData();
+  logger.info(`👎 request ${r.id} rejected by ${describeRequester(r.decidedBy)}`);
+  recordHistory({ action: 'reject', actor: r.decidedBy, kind: requestKind(r), instance: r.instance, target: historyTarget(r.type, { ...r, requestId: r.id }),
+    details: r.reason ? { reason: r.reason } : undefined });
+  await notifyRequester(r);
+  res.json({ ok: true, request: r });
+});
+
+/* -------------------------
+   Scheduled list sync (local files, JSON URLs, RSS feeds)
+   ------------------------- */
+
+// local sources are read from here only (relative paths); mount watchlist exports into it
+const SYNC_DIR = path.resolve(__dirname, process.env.SYNC_DIR || path.join(path.dirname(DATA_FILE), 'sync'));
+const SYNC_TIMEOUT_MS = Number(process.env.SYNC_TIMEOUT_MS || 15000);
+const SYNC_KINDS = ['file', 'json', 'rss'];
+const SYNC_MIN_INTERVAL = 5; // minutes
+const SYNC_TICK_MS = 60 * 1000;
+const syncRunning = new Set();
+
+function decodeXml(s) {
+  return String(s)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#(\d+);/g, (m, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+// same row shape as IMPORT_PARSERS: { title, year, imdbId, tmdbId, tvdbId, type }
+const SYNC_PARSERS = {
+  // a bare array or { items|results|movies|shows: [...] } of flat objects ({ title, year, imdb_id, tmdb_id, tvdb_id, type|media_type })
+  // or Trakt-style entries ({ movie|show: { title, year, ids } })
+  json: content => {
+    const parsed = JSON.parse(content);
+    const list = Array.isArray(parsed) ? parsed : parsed.items || parsed.results || parsed.movies || parsed.shows || [];
+    return list.filter(e => e && typeof e === 'object').map(entry => {
+      const item = entry.movie || entry.show || entry;
+      const ids = item.ids || {};
+      const pick = (...keys) => keys.map(k => item[k] ?? ids[k]).find(v => v != null && v !== '');
+      const kind = String(entry.type || entry.media_type || '');
+      const type = entry.show || /^(series|show|tv)$/i.test(kind) ? 'series' : entry.movie || /^movie$/i.test(kind) ? 'movie' : null;
+      return {
+        title: item.title || item.name || null,
+        year: Number(item.year || String(item.release_date || item.first_air_date || '').slice(0, 4)) || null,
+        imdbId: String(pick('imdb', 'imdbId', 'imdb_id') || '').match(/tt\d+/)?.[0] || null,
+        // TMDb's own list responses only carry `id` next to media_type
+        tmdbId: Number(pick('tmdb', 'tmdbId', 'tmdb_id') || (entry.media_type && item.id)) || null,
+        tvdbId: Number(pick('tvdb', 'tvdbId', 'tvdb_id')) || null,
+        type
+      };
+    });
+  },
+  // RSS <item>s or Atom <entry>s; ids come from anywhere in the entry (IMDb ids, TMDb/TVDb links, "tmdb:123")
+  rss: content => (content.match(/<(item|entry)\b[\s\S]*?<\/\1>/gi) || []).map(block => {
+    const text = decodeXml(block);
+    const titleTag = block.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+    const rawTitle = titleTag ? decodeXml(titleTag[1]).trim() : '';
+    const m = rawTitle.match(/^(.*?)\s*[([]((?:19|20)\d{2})[)\]]/);
+    const tmdb = text.match(/themoviedb\.org\/(movie|tv)\/(\d+)/i) || text.match(/\btmdb[:#\s]+(\d+)/i);
+    const tvdb = text.match(/thetvdb\.com\/[^"'\s<]*[?&]id=(\d+)/i) || text.match(/\btvdb[:#\s]+(\d+)/i);
+    return {
+      title: (m ? m[1] : rawTitle) || null,
+      year: m ? Number(m[2]) : null,
+      imdbId: text.match(/\btt\d{5,}\b/)?.[0] || null,
+      tmdbId: tmdb ? Number(tmdb[tmdb.length - 1]) : null,
+      tvdbId: tvdb ? Number(tvdb[1]) : null,
+      type: tvdb || (tmdb && /^tv$/i.test(tmdb[1])) ? 'series' : tmdb && tmdb.length === 3 ? 'movie' : null
+    };
+  })
+};
+
+// absolute path of a local source, or null when it would leave SYNC_DIR
+function syncFilePath(location) {
+  const full = path.resolve(SYNC_DIR, String(location || ''));
+  return full.startsWith(SYNC_DIR + path.sep) ? full : null;
+}
+
+function syncActor(source) {
+  return { source: 'sync', id: source.id, username: source.name, chatId: null };
+}
+
+// one key per title so a source only ever processes it once
+function syncEntryKey(type, row) {
+  if (row.imdbId) return `${type}:imdb:${row.imdbId}`;
+  if (row.tmdbId) return `${type}:tmdb:${row.tmdbId}`;
+  if (row.tvdbId) return `${type}:tvdb:${row.tvdbId}`;
+  return `${type}:title:${normalizeTitle(row.title)}${row.year ? `:${row.year}` : ''}`;
+}
+
+async function readSyncSource(source) {
+  if (source.kind === 'file') {
+    const full = syncFilePath(source.location);
+    if (!full) throw new Error(`file must be inside ${SYNC_DIR}`);
+    const content = await fs.promises.readFile(full, 'utf8');
+    const format = source.format && source.format !== 'auto' ? source.format : detectImportFormat(content, full);
+    return IMPORT_PARSERS[format](content);
+  }
+  const { data } = await axios.get(source.location, { timeout: SYNC_TIMEOUT_MS, responseType: 'text', maxContentLength: 5 * 1024 * 1024 });
+  return SYNC_PARSERS[source.kind](String(data));
+}
+
+function syncSourceView(s) {
+  const { seen, ...rest } = s;
+  return { ...rest, seenCount: Object.keys(seen || {}).length, running: syncRunning.has(s.id) };
+}
+
+/**
+ * Validates a sync source against its current version (PUT sends only the changed fields).
+ * Returns { value } or { error }.
+ */
+function validateSyncSource(body, current = {}) {
+  const v = { ...current, ...body };
+  const value = {
+    name: String(v.name || '').trim(),
+    kind: v.kind,
+    location: String(v.location || '').trim(),
+    format: v.kind === 'file' ? v.format || 'auto' : null,
+    defaultType: v.defaultType || 'movie',
+    radarrInstance: v.radarrInstance ? String(v.radarrInstance).trim().toLowerCase() : null,
+    sonarrInstance: v.sonarrInstance ? String(v.sonarrInstance).trim().toLowerCase() : null,
+    mode: v.mode || 'add',
+    intervalMinutes: v.intervalMinutes == null || v.intervalMinutes === '' ? 360 : Number(v.intervalMinutes),
+    enabled: v.enabled !== false && v.enabled !== 'false'
+  };
+  if (!value.name || value.name.length > 60) return { error: 'name required (max 60 characters)' };
+  if (!SYNC_KINDS.includes(value.kind)) return { error: `kind must be one of ${SYNC_KINDS.join(', ')}` };
+  if (value.kind === 'file' && !syncFilePath(value.location)) return { error: `location must be a file path relative to ${SYNC_DIR}` };
+  if (value.kind !== 'file' && !validUrl(value.location)) return { error: 'location must be an http(s) URL' };
+  if (value.format && value.format !== 'auto' && !IMPORT_PARSERS[value.format]) return { error: `format must be one of auto, ${Object.keys(IMPORT_PARSERS).join(', ')}` };
+  if (!['movie', 'series'].includes(value.defaultType)) return { error: "defaultType must be 'movie' or 'series'" };
+  if (!['add', 'queue'].includes(value.mode)) return { error: "mode must be 'add' or 'queue'" };
+  if (!Number.isInteger(value.intervalMinutes) || value.intervalMinutes < SYNC_MIN_INTERVAL) return { error: `intervalMinutes must be a whole number ≥ ${SYNC_MIN_INTERVAL}` };
+  if (value.radarrInstance && !getInstance('radarr', value.radarrInstance)) return { error: `unknown radarr instance "${value.radarrInstance}"` };
+  if (value.sonarrInstance && !getInstance('sonarr', value.sonarrInstance)) return { error: `unknown sonarr instance "${value.sonarrInstance}"` };
+  return { value };
+}
+
+// add (or queue) one new entry; returns its outcome for the run summary
+async function syncEntry(source, { row, type, inst }, library) {
+  const actor = syncActor(source);
+  const resolved = await resolveImportRow(row, inst);
+  if (resolved.status !== 'matched') return { status: 'unmatched' };
+  const match = resolved.match;
+  const src = { title: match.title, year: match.year, tmdbId: match.tmdbId, tvdbId: match.tvdbId, imdbId: match.imdbId };
+  if (library.has(String(type === 'movie' ? match.tmdbId : match.tvdbId))) return { status: 'exists', title: match.title };
+  // without an instance on the source the routing rules may still pick one
+  const instance = type === 'movie' ? source.radarrInstance : source.sonarrInstance;
+  if (source.mode === 'queue') {
+    if (findOpenRequest(type, inst.key, src)) return { status: 'duplicate', title: match.title };
+    const r = createRequest({ type, instance: inst.key, instancePicked: !!instance, ...src, imageUrl: match.imageUrl, options: {}, requestedBy: actor });
+    recordHistory({ action: 'request', actor, kind: inst.kind, instance: inst.key, target: historyTarget(type, { ...r, requestId: r.id }), result: 'created',
+      details: { via: 'sync', source: source.name } });
+    return { status: 'queued', title: match.title };
+  }
+  const out = type === 'movie'
+    ? await addMovie({ instance, tmdbId: match.tmdbId, title: match.title, notify: false })
+    : await addSeries({ instance, tvdbId: match.tvdbId, imdbId: match.imdbId, title: match.title, notify: false });
+  recordAdd({ actor, type, src, out, details: { via: 'sync', source: source.name } });
+  return { status: out.added ? 'added' : 'exists', title: match.title };
+}
+
+/**
+ * Reads a source, skips what earlier runs already handled and adds/queues the rest.
+ * Unmatched titles are remembered too (they'd fail the same way next time); errors are retried on the next run.
+ */
+async function runSync(source, { trigger = 'schedule', actor = null } = {}) {
+  if (syncRunning.has(source.id)) return null;
+  syncRunning.add(source.id);
+  const started = Date.now();
+  const summary = { total: 0, new: 0, added: 0, queued: 0, exists: 0, duplicate: 0, unmatched: 0, failed: 0 };
+  const items = [];
+  let error = null;
+  try {
+    const radarr = getInstance('radarr', source.radarrInstance);
+    const sonarr = getInstance('sonarr', source.sonarrInstance);
+    if (!radarr || !sonarr) throw new Error(`instance ${!radarr ? `radarr/${source.radarrInstance}` : `sonarr/${source.sonarrInstance}`} no longer exists`);
+    const rows = (await readSyncSource(source)).filter(r => r.title || r.imdbId || r.tmdbId || r.tvdbId);
+    if (rows.length > IMPORT_MAX_ROWS) throw new Error(`too many entries (${rows.length}, max ${IMPORT_MAX_ROWS})`);
+    summary.total = rows.length;
+    source.seen = source.seen || {};
+    const fresh = new Map();
+    for (const row of rows) {
+      const type = row.type || (row.tvdbId ? 'series' : source.defaultType);
+      const key = syncEntryKey(type, row);
+      if (!source.seen[key] && !fresh.has(key)) fresh.set(key, { row, type, inst: type === 'movie' ? radarr : sonarr, key });
+    }
+    summary.new = fresh.size;
+    const entries = [...fresh.values()];
+    const libraries = {
+      movie: entries.some(e => e.type === 'movie') ? await libraryIndex(radarr) : new Set(),
+      series: entries.some(e => e.type === 'series') ? await libraryIndex(sonarr) : new Set()
+    };
+    for (const entry of entries) {
+      const label = entry.row.title || entry.row.imdbId || entry.row.tmdbId || entry.row.tvdbId;
+      try {
+        const out = await syncEntry(source, entry, libraries[entry.type]);
+        source.seen[entry.key] = { at: new Date().toISOString(), status: out.status };
+        items.push({ key: entry.key, type: entry.type, title: out.title || String(label), status: out.status });
+        summary[out.status]++;
+      } catch (err) {
+        const message = safeString(err.response?.data || err.message);
+        logger.warn(`🔄 sync "${source.name}": ${label} failed: ${message}`);
+        items.push({ key: entry.key, type: entry.type, title: String(label), status: 'failed', error: message });
+        summary.failed++;
+      }
+    }
+  } catch (err) {
+    error = safeString(err.response?.data || err.message);
+  }
+  syncRunning.delete(source.id);
+  source.lastRun = { at: new Date().toISOString(), trigger, status: error ? 'failed' : 'ok', durationMs: Date.now() - started, summary, error, items: items.slice(0, 100) };
+  saveData();
+
+  const counts = `${summary.new} new of ${summary.total}: ${summary.added} added, ${summary.queued} queued, ${summary.exists + summary.duplicate} already there, ${summary.unmatched} unmatched, ${summary.failed} failed`;
+  if (error) logger.error(`🔄 sync "${source.name}" failed: ${error}`);
+  else logger.info(`🔄 sync "${source.name}" (${trigger}): ${counts}`);
+  recordHistory({ action: 'sync.run', actor: actor || syncActor(source), target: { type: 'sync', title: source.name }, result: error ? 'failed' : 'ok',
+    details: error ? { trigger, error } : { trigger, ...summary } });
+  // quiet when nothing changed
+  if (error) await notifyTelegram(`⚠️ Sync <b>${escapeHtml(source.name)}</b> failed: ${escapeHtml(error)}`);
+  else if (summary.added || summary.queued || summary.failed) await notifyTelegram(`🔄 Sync <b>${escapeHtml(source.name)}</b>: ${escapeHtml(counts)}`);
+  return source.lastRun;
+}
+
+function syncDue(source, now) {
+  return source.enabled && !syncRunning.has(source.id) && (!source.lastRun || now - Date.parse(source.lastRun.at) >= source.intervalMinutes * 60 * 1000);
+}
+
+// checks every minute; due sources run one after another
+function startSyncScheduler() {
+  let busy = false;
+  setInterval(async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      for (const source of db.syncSources.filter(s => syncDue(s, Date.now()))) await runSync(source);
+    } catch (err) {
+      logger.error('sync scheduler error: ' + safeString(err.message));
+    } finally {
+      busy = false;
+    }
+  }, SYNC_TICK_MS).unref();
+}
+
+function findSyncSource(req, res) {
+  const source = db.syncSources.find(s => s.id === req.params.id);
+  if (!source) res.status(404).json({ error: 'sync source not found' });
+  return source;
+}
+
+function recordSyncChange(req, action, source, details) {
+  recordHistory({ action, actor: requesterFrom(req), target: { type: 'sync', title: source.name }, details });
+}
+
+app.get('/api/sync/sources', requireAuth, requireRole('admin'), (req, res) => {
+  res.json({ dir: SYNC_DIR, formats: Object.keys(IMPORT_PARSERS), sources: db.syncSources.map(syncSourceView) });
+});
+
+app.post('/api/sync/sources', requireAuth, requireRole('admin'), (req, res) => {
+  const { value, error } = validateSyncSource(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const source = { id: newId(), ...value, seen: {}, lastRun: null, createdAt: new Date().toISOString() };
+  db.syncSources.push(source);
+  saveData();
+  logger.info(`🔄 sync source "${source.name}" (${source.kind}) created by ${req.user.username}`);
+  recordSyncChange(req, 'sync.create', source);
+  res.status(201).json(syncSourceView(source));
+});
+
+app.put('/api/sync/sources/:id', requireAuth, requireRole('admin'), (req, res) => {
+  const source = findSyncSource(req, res);
+  if (!source) return;
+  const { id, seen, lastRun, createdAt, updatedAt, ...current } = source;
+  const { value, error } = validateSyncSource(req.body || {}, current);
+  if (error) return res.status(400).json({ error });
+  Object.assign(source, value, { updatedAt: new Date().toISOString() });
+  saveData();
+  logger.info(`🔄 sync source "${source.name}" updated by ${req.user.username}`);
+  recordSyncChange(req, 'sync.update', source);
+  res.json(syncSourceView(source));
+});
+
+app.delete('/api/sync/sources/:id', requireAuth, requireRole('admin'), (req, res) => {
+  const source = findSyncSource(req, res);
+  if (!source) return;
+  db.syncSources.splice(db.syncSources.indexOf(source), 1);
+  saveData();
+  logger.info(`🔄 sync source "${source.name}" deleted by ${req.user.username}`);
+  recordSyncChange(req, 'sync.delete', source);
+  res.json({ ok: true });
+});
+
+// runs now and answers with the run's summary
+app.post('/api/sync/sources/:id/run', requireAuth, requireRole('admin'), async (req, res) => {
+  const source = findSyncSource(req, res);
+  if (!source) return;
+  if (syncRunning.has(source.id)) return res.status(409).json({ error: 'sync already running' });
+  res.json(await runSync(source, { trigger: 'manual', actor: requesterFrom(req) }));
+});
+
+// forget what was processed so the next run treats every entry as new (titles already in the library are still skipped)
+app.post('/api/sync/sources/:id/reset', requireAuth, requireRole('admin'), (req, res) => {
+  const source = findSyncSource(req, res);
+  if (!source) return;
+  const forgotten = Object.keys(source.seen || {}).length;
+  source.seen = {};
+  saveData();
+  recordSyncChange(req, 'sync.reset', source, { forgotten });
+  res.json({ ok: true, forgotten });
+});
+
+/* -------------------------
+   Download progress for requested items
+   ------------------------- */
+
+async function fetchQueue(inst) {
+  try {
+    const { data } = await inst.client.get('/api/v3/queue', { params: { pageSize: 500 } });
+    return Array.isArray(data) ? data : (data.records || []);
+  } catch (err) {
+    logger.warn(`queue fetch (${inst.kind}/${inst.key}) failed: ` + safeString(err.response?.data || err.message));
+    return [];
+  }
+}
+
+// Collapse one or more queue records (a season pack, several episodes) into one progress entry
+function summarizeQueue(records) {
+  const size = records.reduce((n, q) => n + (q.size || 0), 0);
+  const left = records.reduce((n, q) => n + (q.sizeleft || 0), 0);
+  const etas = records.map(q => q.estimatedCompletionTime).filter(Boolean).sort();
+  const downloading = records.some(q => /downloading/i.test(q.trackedDownloadState || q.status || ''));
+  return {
+    state: downloading ? 'downloading' : 'queued',
+    percent: size ? Math.round(((size - left) / size) * 1000) / 10 : 0,
+    size,
+    sizeLeft: left,
+    eta: etas.length ? etas[etas.length - 1] : null,
+    timeLeft: records.map(q => q.timeleft).filter(Boolean).sort().pop() || null,
+    items: records.length
+  };
+}
+
+async function lastHistoryEvent(inst, kind, arrId) {
+  try {
+    const url = kind === 'radarr' ? '/api/v3/history/movie' : '/api/v3/history/series';
+    const params = kind === 'radarr' ? { movieId: arrId } : { seriesId: arrId };
+    const { data } = await inst.client.get(url, { params });
+    const list = (Array.isArray(data) ? data : data.records || []).slice().sort((a, b) => String(b.date).localeCompare(String(a.date)));
+    return list[0] ? { eventType: list[0].eventType, date: list[0].date } : null;
+  } catch (err) {
+    logger.warn(`history fetch (${kind}/${inst.key}) failed: ` + safeString(err.response?.data || err.message));
+    return null;
+  }
+}
+
+// states: pending/rejected/failed (request not through yet) • queued • downloading • imported • partial • missing • removed • unknown
+async function progressFor(r, getQueue) {
+  if (r.status !== 'approved') return { state: r.status };
+  const kind = requestKind(r);
+  const inst = getInstance(kind, r.instance);
+  if (!inst) return { state: 'unknown', error: `instance "${r.instance}" is no longer configured` };
+  const arrId = r.result && r.result.arrId;
+  if (!arrId) return { state: 'unknown' };
+  try {
+    const { data: item } = await inst.client.get(kind === 'radarr' ? `/api/v3/movie/${arrId}` : `/api/v3/series/${arrId}`);
+    const queue = await getQueue(inst);
+    const records = queue.filter(q => (kind === 'radarr' ? q.movieId : q.seriesId) === arrId);
+    if (kind === 'radarr' && item.hasFile) {
+      return { state: 'imported', quality: item.movieFile?.quality?.quality?.name || null, size: item.sizeOnDisk || null };
+    }
+    if (records.length) return summarizeQueue(records);
+    if (kind === 'sonarr') {
+      const stats = item.statistics || {};
+      const files = stats.episodeFileCount || 0;
+      const total = stats.episodeCount || 0;
+      if (total && files >= total) return { state: 'imported', episodes: `${files}/${total}`, size: stats.sizeOnDisk || null };
+      if (files) return { state: 'partial', episodes: `${files}/${total}`, percent: stats.percentOfEpisodes || 0, size: stats.sizeOnDisk || null };
+    }
+    return { state: 'missing', monitored: !!item.monitored, lastEvent: await lastHistoryEvent(inst, kind, arrId) };
+  } catch (err) {
+    if (err.response?.status === 404) return { state: 'removed' };
+    logger.warn(`progress for request ${r.id} failed: ` + safeString(err.response?.data || err.message));
+    return { state: 'unknown', error: err.message };
+  }
+}
+
+// one queue fetch per instance per call, however many requests share it
+function queueLoader() {
+  const cache = new Map();
+  return inst => {
+    const key = `${inst.kind}:${inst.key}`;
+    if (!cache.has(key)) cache.set(key, fetchQueue(inst));
+    return cache.get(key);
+  };
+}
+
+function statusEntry(r, progress) {
+  return { id: r.id, type: r.type, instance: r.instance, title: r.title, year: r.year, imageUrl: r.imageUrl, status: r.status, createdAt: r.createdAt, progress };
+}
+
+app.get('/api/requests/:id/status', requireAuth, async (req, res) => {
+  const r = db.requests.find(x => x.id === req.params.id && ownsRequest(req, x));
+  if (!r) return res.status(404).json({ error: 'request not found' });
+  res.json(statusEntry(r, await progressFor(r, queueLoader())));
+});
+
+// ?requester=<telegram id> and/or ?ids=a,b,c; newest first, ?limit (default 10, max 50)
+app.get('/api/status', requireAuth, async (req, res) => {
+  const { requester, ids } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 10, 50);
+  const idSet = ids ? new Set(String(ids).split(',')) : null;
+  const list = db.requests
+    .filter(r => (!requester || (r.requestedBy && r.requestedBy.id === String(requester))) && (!idSet || idSet.has(r.id)) && ownsRequest(req, r))
+    .slice(-limit)
+    .reverse();
+  const getQueue = queueLoader();
+  res.json(await Promise.all(list.map(async r => statusEntry(r, await progressFor(r, getQueue)))));
+});
+
+/* -------------------------
+   Release calendar (Radarr + Sonarr calendars merged: JSON, iCal feed, daily digest)
+   ------------------------- */
+
+const CALENDAR_MAX_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad2 = n => String(n).padStart(2, '0');
+const localDay = d => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+const addDays = (day, n) => new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+
+// movie release dates are whole days; an episode belongs to the day it airs in the server's time zone
+function calendarDay(entry) {
+  return entry.type === 'movie' ? entry.date.slice(0, 10) : localDay(new Date(entry.date));
+}
+
+/**
+ * ?start=YYYY-MM-DD (default today), then ?end=YYYY-MM-DD (inclusive) or ?days= (default `days`), at most CALENDAR_MAX_DAYS.
+ * Returns { from, to } with `to` exclusive, or { error }.
+ */
+function calendarRange(query, { offsetDays = 0, days = 7 } = {}) {
+  const valid = s => /^\d{4}-\d{2}-\d{2}$/.test(String(s)) && !Number.isNaN(Date.parse(`${s}T00:00:00Z`));
+  if (query.start && !valid(query.start)) return { error: 'start must be YYYY-MM-DD' };
+  if (query.end && !valid(query.end)) return { error: 'end must be YYYY-MM-DD' };
+  const from = query.start || addDays(localDay(new Date()), offsetDays);
+  let to;
+  if (query.end) {
+    to = addDays(query.end, 1);
+  } else {
+    const n = query.days === undefined ? days : Number(query.days);
+    if (!Number.isInteger(n) || n < 1) return { error: 'days must be a positive whole number' };
+    to = addDays(from, n);
+  }
+  if (to <= from) return { error: 'end must not be before start' };
+  if (Date.parse(to) - Date.parse(from) > CALENDAR_MAX_DAYS * DAY_MS) return { error: `at most ${CALENDAR_MAX_DAYS} days at a time` };
+  return { from, to };
+}
+
+/**
+ * Every configured instance's calendar for the days in [from, to), oldest first. A title several instances have
+ * (HD + 4K Radarr) is one entry listing them all; an instance that fails is named in `errors` and the rest still answer.
+ * type: 'movie' | 'series' | undefined (both)
+ */
+async function fetchCalendar({ from, to }, { type, unmonitored = false } = {}) {
+  const kinds = type === 'movie' ? ['radarr'] : type === 'series' ? ['sonarr'] : ['radarr', 'sonarr'];
+  const targets = kinds.flatMap(kind => instances[kind]);
+  // a day either side: the *arr filters on UTC times, days here are the server's
+  const start = `${addDays(from, -1)}T00:00:00Z`;
+  const end = `${addDays(to, 1)}T00:00:00Z`;
+  const settled = await Promise.allSettled(targets.map(inst => inst.arr.calendar(start, end, { unmonitored })));
+  const errors = {};
+  const merged = new Map();
+  settled.forEach((s, i) => {
+    const inst = targets[i];
+    if (s.status === 'rejected') {
+      errors[`${inst.kind}/${inst.key}`] = safeString(s.reason.response?.data || s.reason.message);
+      logger.warn(`calendar ${inst.kind}/${inst.key} failed: ${errors[`${inst.kind}/${inst.key}`]}`);
+      return;
+    }
+    for (const { instance, ...entry } of s.value) {
+      const day = calendarDay(entry);
+      if (day < from || day >= to) continue;
+      const key = entry.type === 'movie' ? `m:${entry.tmdbId}:${entry.release}` : `e:${entry.tvdbId || entry.title}:${entry.seasonNumber}:${entry.episodeNumber}`;
+      const where = { kind: inst.kind, key: inst.key, name: inst.name };
+      if (merged.has(key)) merged.get(key).instances.push(where);
+      else merged.set(key, { ...entry, day, instances: [where] });
+    }
+  });
+  const entries = [...merged.values()].sort((a, b) => a.day.localeCompare(b.day) || Date.parse(a.date) - Date.parse(b.date));
+  return { entries, errors };
+}
+
+// Calendar apps can't sign in, so once CALENDAR_FEED_TOKEN is set the feed takes ?token=; until then it needs the
+// normal sign-in like every other route. It has its own secret: the link is shown to every signed-in user, and
+// LIST_FEED_TOKEN also opens the (admin-only) import list feeds.
+function requireCalendarToken(req, res, next) {
+  const expected = process.env.CALENDAR_FEED_TOKEN;
+  if (!expected) return requireAuth(req, res, next);
+  if (!safeEqual(req.query.token, expected)) return res.status(401).json({ error: 'invalid or missing token' });
+  return next();
+}
+
+// without a token the link only works in a signed-in browser, so the UI says to set one for calendar apps
+function calendarFeedPath() {
+  const token = process.env.CALENDAR_FEED_TOKEN;
+  return `/api/calendar.ics${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+}
+
+// ?start= &end= | &days= (see calendarRange) &type=movie|series &unmonitored=true
+app.get('/api/calendar', requireAuth, async (req, res) => {
+  const range = calendarRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+  const { type } = req.query;
+  if (type !== undefined && type !== 'movie' && type !== 'series') return res.status(400).json({ error: "type must be 'movie' or 'series'" });
+  const { entries, errors } = await fetchCalendar(range, { type, unmonitored: req.query.unmonitored === 'true' });
+  res.json({ start: range.from, end: addDays(range.to, -1), entries, errors, feedPath: calendarFeedPath(), feedToken: !!process.env.CALENDAR_FEED_TOKEN });
+});
+
+/* iCal (RFC 5545): movie releases are all-day events, episodes last their runtime */
+
+const icsText = s => String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+const icsTime = ms => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const icsDate = day => day.replace(/-/g, '');
+
+// lines are at most 75 octets; the rest continues on lines that start with a space
+function icsFold(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (octets + n > (parts.length ? 74 : 75)) { parts.push(current); current = ''; octets = 0; }
+    current += ch;
+    octets += n;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const RELEASE_LABELS = { cinema: 'in cinemas', digital: 'digital release', physical: 'physical release' };
+
+function episodeCode(entry) {
+  return `S${pad2(entry.seasonNumber)}E${pad2(entry.episodeNumber)}`;
+}
+
+function icsEvent(entry, stamp) {
+  const isMovie = entry.type === 'movie';
+  const uid = isMovie ? `movie-${entry.tmdbId}-${entry.release}` : `episode-${entry.tvdbId || slugify(entry.title)}-${entry.seasonNumber}-${entry.episodeNumber}`;
+  const summary = isMovie
+    ? `🎬 ${entry.title}${entry.year ? ` (${entry.year})` : ''} — ${RELEASE_LABELS[entry.release]}`
+    : `📺 ${entry.title} ${episodeCode(entry)}${entry.episodeTitle ? ` — ${entry.episodeTitle}` : ''}`;
+  const when = isMovie
+    ? [`DTSTART;VALUE=DATE:${icsDate(entry.day)}`, `DTEND;VALUE=DATE:${icsDate(addDays(entry.day, 1))}`]
+    : [`DTSTART:${icsTime(Date.parse(entry.date))}`, `DTEND:${icsTime(Date.parse(entry.date) + (entry.runtime || 30) * 60 * 1000)}`];
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}@rrr-listing`,
+    `DTSTAMP:${stamp}`,
+    ...when,
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(`${entry.instances.map(i => i.name).join(', ')}${entry.hasFile ? ' — downloaded' : ''}`)}`,
+    ...(entry.url ? [`URL:${entry.url}`] : []),
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+// For calendar apps: from a week back to two months ahead by default (same ?start/&end/&days/&type as /api/calendar)
+app.get('/api/calendar.ics', requireCalendarToken, async (req, res) => {
+  const range = calendarRange(req.query, { offsetDays: -7, days: 67 });
+  if (range.error) return res.status(400).json({ error: range.error });
+  const type = req.query.type === 'movie' || req.query.type === 'series' ? req.query.type : undefined;
+  const { entries } = await fetchCalendar(range, { type });
+  const stamp = icsTime(Date.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//rrr-listing//release calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Upcoming releases',
+    ...entries.flatMap(e => icsEvent(e, stamp)),
+    'END:VCALENDAR'
+  ];
+  logger.info(`📅 calendar feed served ${entries.length} events to ${req.get('user-agent') || 'unknown'}`);
+  res.type('text/calendar; charset=utf-8').send(lines.map(icsFold).join('\r\n') + '\r\n');
+});
+
+/* Daily digest: CALENDAR_DIGEST_HOUR (0-23, server time) sends the day's releases to the Telegram notify chat */
+
+function digestLine(entry) {
+  if (entry.type === 'movie') return `🎬 <b>${escapeHtml(entry.title)}</b>${entry.year ? ` (${entry.year})` : ''} — ${RELEASE_LABELS[entry.release]}`;
+  const d = new Date(entry.date);
+  return `📺 <b>${escapeHtml(entry.title)}</b> ${episodeCode(entry)}${entry.episodeTitle ? ` “${escapeHtml(entry.episodeTitle)}”` : ''} — ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+}
+
+// today's releases; nothing is sent on a day without any
+async function sendCalendarDigest() {
+  const day = localDay(new Date());
+  const { entries, errors } = await fetchCalendar({ from: day, to: addDays(day, 1) });
+  const failed = Object.keys(errors);
+  if (entries.length) await notifyTelegram(`📅 <b>Releases today</b>\n\n${entries.map(digestLine).join('\n')}${failed.length ? `\n\n⚠️ Unavailable: ${escapeHtml(failed.join(', '))}` : ''}`);
+  logger.info(`📅 calendar digest for ${day}: ${entries.length} releases${failed.length ? ` (failed: ${failed.join(', ')})` : ''}`);
+  return { day, count: entries.length, errors };
+}
+
+// checks every minute; the day it was last sent is kept in DATA_FILE so a restart doesn't send it twice
+function startCalendarDigest() {
+  const raw = process.env.CALENDAR_DIGEST_HOUR;
+  if (raw === undefined || raw === '') return;
+  const hour = Number(raw);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) return logger.warn(`CALENDAR_DIGEST_HOUR must be 0-23, got "${raw}" — no daily digest`);
+  setInterval(async () => {
+    const now = new Date();
+    if (now.getHours() < hour || (db.calendarDigest && db.calendarDigest.lastDay === localDay(now))) return;
+    db.calendarDigest = { lastDay: localDay(now) };
+    saveData();
+    try {
+      await sendCalendarDigest();
+    } catch (err) {
+      logger.error('calendar digest failed: ' + safeString(err.message));
+    }
+  }, SYNC_TICK_MS).unref();
+}
+
+// sends today's digest now (whether or not the daily one is configured)
+app.post('/api/calendar/digest', requireAuth, requireRole('admin'), async (req, res) => {
+  res.json(await sendCalendarDigest());
+});
+
+/* -------------------------
+   Library browser (what Radarr/Sonarr already have)
+   ------------------------- */
+
+const LIBRARY_CACHE_MS = 30 * 1000;
+
+// whole library per instance, cached briefly so paging and filtering don't refetch thousands of titles
+async function fetchLibrary(inst, { fresh = false } = {}) {
+  if (fresh) inst.arr.invalidate('library');
+  const [items, meta] = await Promise.all([
+    inst.arr.cached('library', LIBRARY_CACHE_MS, async () => {
+      const { data } = await inst.client.get(inst.kind === 'radarr' ? '/api/v3/movie' : '/api/v3/series');
+      return Array.isArray(data) ? data : [];
+    }),
+    arrGetDefaults(inst)
+  ]);
+  return { items, profiles: meta.qualityProfiles };
+}
+
+function libraryItemView(inst, item, profiles) {
+  const poster = (item.images || []).find(i => i.coverType === 'poster') || (item.images || [])[0];
+  const profile = profiles.find(p => p.id === item.qualityProfileId);
+  const view = {
+    id: item.id,
+    title: item.title,
+    year: item.year || null,
+    imdbId: item.imdbId || null,
+    imageUrl: makeImageUrl(poster),
+    ...libraryState(inst, item),
+    qualityProfileId: item.qualityProfileId,
+    qualityProfile: profile ? profile.name : null,
+    path: item.path || null,
+    added: item.added || null
+  };
+  if (inst.kind === 'radarr') {
+    view.tmdbId = item.tmdbId;
+    view.size = item.sizeOnDisk || (item.movieFile && item.movieFile.size) || 0;
+    view.quality = item.movieFile?.quality?.quality?.name || null;
+    view.hasFile = !!item.hasFile;
+  } else {
+    const stats = item.statistics || {};
+    view.tvdbId = item.tvdbId;
+    view.size = stats.sizeOnDisk || 0;
+    view.episodes = `${stats.episodeFileCount || 0}/${stats.episodeCount || 0}`;
+    view.seasons = stats.seasonCount || (item.seasons || []).filter(s => s.seasonNumber > 0).length;
+    view.quality = null;
+    view.hasFile = (stats.episodeFileCount || 0) > 0;
+  }
+  return view;
+}
+
+// what an "already exists" answer carries, so callers can offer monitor / search / upgrade
+function existingView(inst, item, profiles) {
+  const { id, state, monitored, hasFile, url, qualityProfileId, qualityProfile, quality, episodes } = libraryItemView(inst, item, profiles);
+  return { id, state, monitored, hasFile, url, qualityProfileId, qualityProfile, quality, episodes: episodes || null };
+}
+
+const EXISTING_STATES = { downloaded: 'downloaded', partial: 'partly downloaded', missing: 'monitored, not downloaded', unmonitored: 'unmonitored' };
+
+function existingStatus(existing) {
+  if (!existing) return null;
+  const parts = [existing.episodes ? `${existing.episodes} episodes` : null, existing.quality, existing.qualityProfile ? `profile ${existing.qualityProfile}` : null].filter(Boolean);
+  return `${EXISTING_STATES[existing.state] || existing.state}${parts.length ? ` (${parts.join(', ')})` : ''}`;
+}
+
+const LIBRARY_SORTS = {
+  title: (a, b) => String(a.title).localeCompare(String(b.title)),
+  added: (a, b) => String(b.added).localeCompare(String(a.added)),
+  size: (a, b) => b.size - a.size,
+  year: (a, b) => (b.year || 0) - (a.year || 0)
+};
+
+// ?instance= &q= &status=downloaded|partial|missing|unmonitored|monitored &qualityProfileId= &sort=title|added|size|year &page= &pageSize=
+function libraryRoute(kind) {
+  return async (req, res) => {
+    const inst = getInstance(kind, req.query.instance);
+    if (!inst) return unknownInstance(res, kind, req.query.instance);
+    const { q, status, qualityProfileId, sort = 'title' } = req.query;
+    if (!LIBRARY_SORTS[sort]) return res.status(400).json({ error: `sort must be one of ${Object.keys(LIBRARY_SORTS).join(', ')}` });
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const pageSize = Math.min(Math.max(1, Number(req.query.pageSize) || 25), 100);
+    try {
+      const { items, profiles } = await fetchLibrary(inst, { fresh: req.query.fresh === '1' });
+      const needle = q ? normalizeTitle(q) : null;
+      const list = items.map(it => libraryItemView(inst, it, profiles)).filter(v =>
+        (!needle || normalizeTitle(v.title).includes(needle)) &&
+        (!status || (status === 'monitored' ? v.monitored : v.state === status)) &&
+        (!qualityProfileId || v.qualityProfileId === Number(qualityProfileId))
+      ).sort(LIBRARY_SORTS[sort]);
+      res.json({
+        instance: instanceInfo(inst),
+        page,
+        pageSize,
+        total: list.length,
+        pages: Math.max(1, Math.ceil(list.length / pageSize)),
+        qualityProfiles: profiles.map(p => ({ id: p.id, name: p.name })),
+        items: list.slice((page - 1) * pageSize, page * pageSize)
+      });
+    } catch (err) {
+      logger.error(`library/${kind} [${inst.key}] failed: ` + safeString(err.response?.data || err.message));
+      res.status(502).json({ error: `${kind} unavailable`, details: err.response?.data || err.message });
+    }
+  };
+}
+
+app.get('/api/library/movies', requireAuth, libraryRoute('radarr'));
+app.get('/api/library/series', requireAuth, libraryRoute('sonarr'));
+
+// The bot calls with its own credentials and passes the Telegram user as `by`; web users are already admins
+function requireTelegramRole(...roles) {
+  return (req, res, next) => {
+    const by = req.body && req.body.by;
+    if (by && by.source === 'telegram') {
+      const u = findTelegramUser(by.id);
+      if (!u || !roles.includes(u.role)) return res.status(403).json({ error: `only ${roles.join('/')} users can do that` });
+    }
+    return next();
+  };
+}
+
+function recordLibrary(req, action, inst, item, result, details) {
+  const type = inst.kind === 'radarr' ? 'movie' : 'series';
+  recordHistory({ action, actor: actorFrom(req), kind: inst.kind, instance: inst.key, target: historyTarget(type, { ...item, arrId: item.id }), result, details });
+}
+
+function libraryTarget(req, res) {
+  const { kind, id } = req.params;
+  if (kind !== 'radarr' && kind !== 'sonarr') { res.status(404).json({ error: 'unknown kind' }); return null; }
+  const instKey = req.query.instance || (req.body && req.body.instance);
+  const inst = getInstance(kind, instKey);
+  if (!inst) { unknownInstance(res, kind, instKey); return null; }
+  return { inst, id: Number(id), path: `/api/v3/${kind === 'radarr' ? 'movie' : 'series'}/${Number(id)}` };
+}
+
+// requests answered with "already exists" keep a snapshot of the title; keep it in step with changes made from here
+function refreshExisting(inst, item, profiles) {
+  const stale = db.requests.filter(r => r.instance === inst.key && requestKind(r) === inst.kind && r.result && r.result.existing && r.result.existing.id === item.id);
+  stale.forEach(r => { r.result.existing = existingView(inst, item, profiles); });
+  if (stale.length) saveData();
+}
+
+// MoviesSearch / SeriesSearch, or EpisodeSearch over the aired, monitored episodes without a file when `missing` is set
+// for a series (Sonarr's MissingEpisodeSearch ignores seriesId and would search the whole library)
+async function librarySearchCommand(inst, id, missing) {
+  if (inst.kind === 'radarr') return { name: 'MoviesSearch', movieIds: [id] };
+  if (missing) {
+    const { data } = await inst.client.get('/api/v3/episode', { params: { seriesId: id } });
+    const now = Date.now();
+    const episodeIds = (Array.isArray(data) ? data : [])
+      .filter(ep => ep.monitored && !ep.hasFile && ep.airDateUtc && Date.parse(ep.airDateUtc) <= now)
+      .map(ep => ep.id);
+    if (episodeIds.length) return { name: 'EpisodeSearch', episodeIds };
+  }
+  return { name: 'SeriesSearch', seriesId: id };
+}
+
+// { monitored?, qualityProfileId? } — read-modify-write, the *arr PUT wants the full record
+app.put('/api/library/:kind/:id', requireAuth, requireRole('admin'), requireTelegramRole('admin'), async (req, res) => {
+  const target = libraryTarget(req, res);
+  if (!target) return;
+  const { inst, path: itemPath } = target;
+  const { monitored, qualityProfileId } = req.body;
+  if (monitored === undefined && qualityProfileId === undefined) return res.status(400).json({ error: 'monitored or qualityProfileId required' });
+  try {
+    const { data: item } = await inst.client.get(itemPath);
+    if (monitored !== undefined) item.monitored = !!monitored;
+    if (qualityProfileId !== undefined) item.qualityProfileId = Number(qualityProfileId);
+    const { data: updated } = await inst.client.put(itemPath, item);
+    inst.arr.libraryChanged();
+    logger.info(`🛠 library ${inst.kind}/${inst.key} ${item.title}: monitored=${updated.monitored} qp=${updated.qualityProfileId}`);
+    recordLibrary(req, 'library.update', inst, updated, 'ok', { monitored: updated.monitored, qualityProfileId: updated.qualityProfileId });
+    const { profiles } = await fetchLibrary(inst);
+    refreshExisting(inst, updated, profiles);
+    res.json(libraryItemView(inst, updated, profiles));
+  } catch (err) {
+    logger.error(`library update [${inst.key}] ${target.id} failed: ` + safeString(err.response?.data || err.message));
+    recordLibrary(req, 'library.update', inst, { id: target.id }, 'failed', { error: safeString(err.response?.data || err.message) });
+    res.status(err.response?.status === 404 ? 404 : 500).json({ error: 'update failed', details: err.response?.data || err.message });
   }
 });
-app.post('/api/clearlogs', requireBasicAuth, (req, res) => {
+
+// Re-monitor a title that is already there (for series every season too — Sonarr only searches monitored episodes).
+// Like "Search now" this is open to trusted users: it is what their request for the title would have done.
+app.post('/api/library/:kind/:id/monitor', requireAuth, requireRole('admin', 'trusted'), requireTelegramRole('admin', 'trusted'), async (req, res) => {
+  const target = libraryTarget(req, res);
+  if (!target) return;
+  const { inst, path: itemPath } = target;
   try {
-    fs.readdirSync(LOG_DIR).forEach(f => {
-      const full = path.join(LOG_DIR, f);
-      try { fs.unlinkSync(full); } catch (e) { logger.warn('unlink failed for ' + full + ': ' + safeString(e.message)); }
-    });
-    logger.info('🧹 Logs cleared via /api/clearlogs');
-    res.json({ ok: true, message: 'logs cleared' });
+    const { data: item } = await inst.client.get(itemPath);
+    item.monitored = true;
+    (item.seasons || []).forEach(season => { if (season.seasonNumber > 0) season.monitored = true; });
+    const { data: updated } = await inst.client.put(itemPath, item);
+    inst.arr.libraryChanged();
+    logger.info(`👁 library ${inst.kind}/${inst.key} ${updated.title}: monitored`);
+    recordLibrary(req, 'library.monitor', inst, updated, 'ok');
+    const { qualityProfiles } = await arrGetDefaults(inst);
+    refreshExisting(inst, updated, qualityProfiles);
+    res.json(libraryItemView(inst, updated, qualityProfiles));
+  } catch (err) {
+    logger.error(`library monitor [${inst.key}] ${target.id} failed: ` + safeString(err.response?.data || err.message));
+    recordLibrary(req, 'library.monitor', inst, { id: target.id }, 'failed', { error: safeString(err.response?.data || err.message) });
+    res.status(err.response?.status === 404 ? 404 : 500).json({ error: 'monitor failed', details: err.response?.data || err.message });
+  }
+});
+
+// { qualityProfileId } — switch the title to another profile and search for a release that meets it; monitoring is left as is
+app.post('/api/library/:kind/:id/upgrade', requireAuth, requireRole('admin'), requireTelegramRole('admin'), async (req, res) => {
+  const target = libraryTarget(req, res);
+  if (!target) return;
+  const { inst, id, path: itemPath } = target;
+  const qualityProfileId = Number(req.body && req.body.qualityProfileId);
+  if (!qualityProfileId) return res.status(400).json({ error: 'qualityProfileId required' });
+  try {
+    const { qualityProfiles } = await arrGetDefaults(inst);
+    const profile = qualityProfiles.find(p => p.id === qualityProfileId);
+    if (!profile) return res.status(400).json({ error: `unknown quality profile ${qualityProfileId}` });
+    const { data: item } = await inst.client.get(itemPath);
+    item.qualityProfileId = qualityProfileId;
+    const { data: updated } = await inst.client.put(itemPath, item);
+    inst.arr.libraryChanged();
+    const command = await librarySearchCommand(inst, id);
+    const { data } = await inst.client.post('/api/v3/command', command);
+    logger.info(`⬆️ upgrade ${inst.kind}/${inst.key} ${updated.title}: profile ${profile.name}, ${command.name}`);
+    recordLibrary(req, 'library.upgrade', inst, updated, 'ok', { qualityProfileId, qualityProfile: profile.name, command: command.name });
+    refreshExisting(inst, updated, qualityProfiles);
+    res.json({ ...libraryItemView(inst, updated, qualityProfiles), command: { id: data.id, name: data.name, status: data.status } });
+  } catch (err) {
+    logger.error(`library upgrade [${inst.key}] ${id} failed: ` + safeString(err.response?.data || err.message));
+    recordLibrary(req, 'library.upgrade', inst, { id }, 'failed', { qualityProfileId, error: safeString(err.response?.data || err.message) });
+    res.status(err.response?.status === 404 ? 404 : 500).json({ error: 'upgrade failed', details: err.response?.data || err.message });
+  }
+});
+
+// "Search now" ({ missing: true } on a series: only episodes without a file): trusted users may kick off searches,
+// everything else below is admin-only
+app.post('/api/library/:kind/:id/search', requireAuth, requireRole('admin', 'trusted'), requireTelegramRole('admin', 'trusted'), async (req, res) => {
+  const target = libraryTarget(req, res);
+  if (!target) return;
+  const { inst, id } = target;
+  try {
+    const command = await librarySearchCommand(inst, id, !!(req.body && req.body.missing));
+    const { data } = await inst.client.post('/api/v3/command', command);
+    logger.info(`🔎 ${command.name} [${inst.key}] id:${id}`);
+    recordLibrary(req, 'library.search', inst, { id, title: req.body && req.body.title }, 'ok', { command: command.name });
+    res.json({ ok: true, command: { id: data.id, name: data.name, status: data.status } });
+  } catch (err) {
+    logger.error(`search-now [${inst.key}] ${id} failed: ` + safeString(err.response?.data || err.message));
+    recordLibrary(req, 'library.search', inst, { id, title: req.body && req.body.title }, 'failed', { error: safeString(err.response?.data || err.message) });
+    res.status(err.response?.status === 404 ? 404 : 500).json({ error: 'search command failed', details: err.response?.data || err.message });
+  }
+});
+
+// ?deleteFiles=true also removes the files from disk
+app.delete('/api/library/:kind/:id', requireAuth, requireRole('admin'), requireTelegramRole('admin'), async (req, res) => {
+  const target = libraryTarget(req, res);
+  if (!target) return;
+  const { inst, path: itemPath } = target;
+  const deleteFiles = req.query.deleteFiles === 'true' || (req.body && req.body.deleteFiles) === true;
+  try {
+    const { data: item } = await inst.client.get(itemPath);
+    await inst.client.delete(itemPath, { params: { deleteFiles, addImportExclusion: false } });
+    inst.arr.libraryChanged();
+    logger.info(`🗑️ library ${inst.kind}/${inst.key} deleted ${item.title}${deleteFiles ? ' (with files)' : ''}`);
+    recordLibrary(req, 'library.delete', inst, item, 'ok', { deleteFiles });
+    res.json({ ok: true, deleted: { id: item.id, title: item.title }, deleteFiles });
+  } catch (err) {
+    logger.error(`library delete [${inst.key}] ${target.id} failed: ` + safeString(err.response?.data || err.message));
+    recordLibrary(req, 'library.delete', inst, { id: target.id }, 'failed', { deleteFiles, error: safeString(err.response?.data || err.message) });
+    res.status(err.response?.status === 404 ? 404 : 500).json({ error: 'delete failed', details: err.response?.data || err.message });
+  }
+});
+
+/* -------------------------
+   Radarr / Sonarr webhooks (Settings → Connect → Webhook)
+   ------------------------- */
+
+// The *arr apps can send basic auth (Username/Password) or we take ?token=; WEBHOOK_TOKEN is accepted in either
+function requireWebhookAuth(req, res, next) {
+  const expected = process.env.WEBHOOK_TOKEN;
+  if (!expected) return requireAuth(req, res, next);
+  const auth = basicAuth(req);
+  const given = req.query.token || (auth && auth.pass);
+  if (!safeEqual(given, expected)) return res.status(401).json({ error: 'invalid or missing token' });
+  return next();
+}
+
+function formatBytes(n) {
+  if (!n) return null;
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let i = 0;
+  while (n >= 1024 && i < units.length - 1) { n /= 1024; i++; }
+  return `${n.toFixed(i >= 3 ? 2 : 0)} ${units[i]}`;
+}
+
+// Radarr/Sonarr send Download with isUpgrade for upgrades; older builds used a separate Upgrade event
+function webhookEventName(body) {
+  const type = body.eventType;
+  if (type === 'Download' && body.isUpgrade) return 'Upgrade';
+  if (type === 'Health' || type === 'HealthIssue') return 'HealthIssue';
+  return type;
+}
+
+// quality + size of whatever the event is about: the release for grabs, the imported file(s) otherwise
+function webhookFileInfo(body) {
+  const files = body.episodeFiles || (body.episodeFile ? [body.episodeFile] : body.movieFile ? [body.movieFile] : []);
+  const source = files.length ? files : body.release ? [body.release] : [];
+  const quality = source.map(f => f.quality?.quality?.name || f.quality).find(q => typeof q === 'string') || null;
+  const size = source.reduce((n, f) => n + (f.size || 0), 0);
+  return { quality, size: size || null, releaseTitle: body.release?.releaseTitle || null };
+}
+
+function webhookEpisodes(body) {
+  const eps = body.episodes || [];
+  if (!eps.length) return null;
+  const fmt = e => `S${String(e.seasonNumber).padStart(2, '0')}E${String(e.episodeNumber).padStart(2, '0')}`;
+  return eps.length === 1 ? `${fmt(eps[0])}${eps[0].title ? ` – ${eps[0].title}` : ''}` : `${fmt(eps[0])}–${fmt(eps[eps.length - 1])} (${eps.length} episodes)`;
+}
+
+// approved requests for the movie/series in the payload, on the instance that sent it when we can tell
+function matchWebhookRequests(kind, instKey, body) {
+  const item = kind === 'radarr' ? body.movie || body.remoteMovie : body.series;
+  if (!item) return [];
+  return db.requests.filter(r => r.status === 'approved' && requestKind(r) === kind && requestInstanceKey(r) === instKey && (
+    (kind === 'radarr' && item.tmdbId && r.tmdbId === Number(item.tmdbId)) ||
+    (kind === 'sonarr' && item.tvdbId && r.tvdbId === Number(item.tvdbId)) ||
+    // *arr ids are only unique within one instance, so only trust them when the request names this one
+    (item.id && r.instance === instKey && r.result && r.result.arrId === item.id) ||
+    (item.imdbId && r.imdbId === item.imdbId)
+  ));
+}
+
+const WEBHOOK_HEADLINES = { Grab: '📥 Grabbed', Download: '✅ Downloaded', Upgrade: '⬆️ Upgraded' };
+
+function webhookMessage(event, r, body) {
+  const info = webhookFileInfo(body);
+  const episodes = webhookEpisodes(body);
+  const lines = [`${WEBHOOK_HEADLINES[event]}: <b>${escapeHtml(requestLabel(r))}</b>`];
+  if (episodes) lines.push(escapeHtml(episodes));
+  const details = [info.quality, formatBytes(info.size)].filter(Boolean).join(' • ');
+  if (details) lines.push(escapeHtml(details));
+  if (event === 'Grab') lines.push('It will be available once the download finishes.');
+  else if (event === 'Download') lines.push('Ready to watch 🍿');
+  return lines.join('\n');
+}
+
+// Send a photo with caption, falling back to plain text when Telegram can't fetch the image
+async function sendTelegramPhoto(chatId, photo, caption, extra = {}) {
+  const token = process.env.TELEGRAM_TOKEN;
+  if (!photo || !token || !chatId) return sendTelegram(chatId, caption, extra);
+  try {
+    const { data } = await telegramHttp.post(`/bot${token}/sendPhoto`, { chat_id: chatId, photo, caption, parse_mode: 'HTML', ...extra });
+    logger.info(`Sent Telegram photo to ${chatId}`);
+    return data.result || null;
+  } catch (err) {
+    logger.warn('Telegram photo failed, sending text: ' + safeString(err.response?.data || err.message));
+    return sendTelegram(chatId, caption, extra);
+  }
+}
+
+function webhookPoster(kind, body, r) {
+  const item = kind === 'radarr' ? body.movie || body.remoteMovie : body.series;
+  const images = (item && item.images) || [];
+  return makeImageUrl(images.find(i => i.coverType === 'poster') || images[0]) || r.imageUrl || null;
+}
+
+// template variables for the "downloaded" notification; requesters come from the matched requests
+function webhookEventData(kind, instKey, body, matches) {
+  const item = (kind === 'radarr' ? body.movie || body.remoteMovie : body.series) || {};
+  const inst = instKey ? getInstance(kind, instKey) : null;
+  const type = kind === 'radarr' ? 'movie' : 'series';
+  const info = webhookFileInfo(body);
+  const requesters = [...new Set(matches.map(r => describeRequester(r.requestedBy)))];
+  return {
+    type,
+    typeLabel: type === 'movie' ? 'Movie' : 'Series',
+    title: item.title || null,
+    year: item.year || null,
+    label: item.title ? `${item.title}${item.year ? ` (${item.year})` : ''}` : null,
+    instance: inst ? inst.name : body.instanceName || kind,
+    ids: type === 'movie' ? (item.tmdbId ? `TMDB: ${item.tmdbId}` : null) : `TVDB: ${item.tvdbId || 'n/a'}`,
+    tmdbId: item.tmdbId || null,
+    tvdbId: item.tvdbId || null,
+    imdbId: item.imdbId || null,
+    requester: requesters.join(', ') || null,
+    quality: info.quality,
+    size: formatBytes(info.size),
+    episodes: webhookEpisodes(body),
+    link: (inst && item.id && libraryState(inst, item)?.url) || null,
+    poster: webhookPoster(kind, body, matches[0] || {})
+  };
+}
+
+// /api/webhook/radarr and /api/webhook/sonarr; ?instance=<key> when several instances post here
+app.post('/api/webhook/:kind', requireWebhookAuth, async (req, res) => {
+  const { kind } = req.params;
+  if (kind !== 'radarr' && kind !== 'sonarr') return res.status(404).json({ error: 'unknown webhook' });
+  // no ?instance= means the default instance
+  const inst = getInstance(kind, req.query.instance);
+  if (!inst) return unknownInstance(res, kind, req.query.instance);
+  const instKey = inst.key;
+  const body = req.body || {};
+  const event = webhookEventName(body);
+  const source = `${kind}/${instKey}${body.instanceName ? ` (${body.instanceName})` : ''}`;
+  logger.info(`🪝 webhook ${event} from ${source}`);
+
+  if (event === 'Test') return res.json({ ok: true, event });
+  if (event === 'HealthIssue') {
+    await notifyTelegram(`🩺 ${escapeHtml(source)} health ${escapeHtml(body.level || 'issue')}: ${escapeHtml(body.message || 'unknown')}${body.wikiUrl ? `\n${escapeHtml(body.wikiUrl)}` : ''}`);
+    return res.json({ ok: true, event });
+  }
+  if (!WEBHOOK_HEADLINES[event]) return res.json({ ok: true, event, ignored: true });
+
+  // grabs and imports change file/monitor state that cached lookups and library pages report
+  inst.arr.libraryChanged();
+  const matches = matchWebhookRequests(kind, instKey, body);
+  const now = new Date().toISOString();
+  const notified = new Set();
+  for (const r of matches) {
+    const info = webhookFileInfo(body);
+    r.lastEvent = { eventType: event, date: now, quality: info.quality, size: info.size };
+    const who = r.requestedBy;
+    // several people may have requested the same title; each chat hears about it once
+    if (!who || who.source !== 'telegram' || !who.chatId || notified.has(who.chatId)) continue;
+    notified.add(who.chatId);
+    await sendTelegramPhoto(who.chatId, webhookPoster(kind, body, r), webhookMessage(event, r, body));
+  }
+  if (matches.length) saveData();
+  if (event === 'Download') notifyEvent('downloaded', webhookEventData(kind, instKey, body, matches));
+  logger.info(`🪝 ${event} matched ${matches.length} request(s), notified ${notified.size} chat(s)`);
+  res.json({ ok: true, event, matched: matches.map(r => r.id), notified: notified.size });
+});
+
+/* -------------------------
+   Custom import lists (polled by Radarr/Sonarr "Custom List")
+   ------------------------- */
+
+// Optional shared secret for the feed URLs — the *arr apps can't send basic auth, so feeds use ?token=
+function requireFeedToken(req, res, next) {
+  const expected = process.env.LIST_FEED_TOKEN;
+  if (!expected) return next();
+  if (!safeEqual(req.query.token, expected)) return res.status(401).json({ error: 'invalid or missing token' });
+  return next();
+}
+
+// the feeds have to stay reachable without a sign-in, so say so loudly when nothing guards them
+function warnOpenFeeds() {
+  if (!process.env.LIST_FEED_TOKEN) logger.warn('No LIST_FEED_TOKEN — the /api/importlist feeds are public to anyone who can reach the server');
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'list';
+}
+
+function uniqueListId(name) {
+  const base = slugify(name);
+  let id = base;
+  for (let n = 2; db.lists.some(l => l.id === id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// movies are keyed by tmdbId, series by tvdbId — the only ids the *arr custom lists understand
+function listItemKey(type, item) {
+  return type === 'movie' ? Number(item.tmdbId) : Number(item.tvdbId);
+}
+
+function feedPath(list) {
+  const token = process.env.LIST_FEED_TOKEN;
+  return `/api/importlist/${list.id}${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+}
+
+function listSummary(list) {
+  const { items, ...rest } = list;
+  return { ...rest, itemCount: items.length, feedPath: feedPath(list) };
+}
+
+app.get('/api/lists', requireAuth, requireRole('admin'), (req, res) => {
+  const { type } = req.query;
+  res.json(db.lists.filter(l => !type || l.type === type).map(listSummary));
+});
+
+app.post('/api/lists', requireAuth, requireRole('admin'), (req, res) => {
+  const { name, type, description } = req.body;
+  if (!name || !String(name).trim()) return res.status(400).json({ error: 'name required' });
+  if (type !== 'movie' && type !== 'series') return res.status(400).json({ error: "type must be 'movie' or 'series'" });
+  const now = new Date().toISOString();
+  const list = { id: uniqueListId(name), name: String(name).trim(), type, description: description || '', items: [], createdAt: now, updatedAt: now };
+  db.lists.push(list);
+  saveData();
+  logger.info(`📋 list created ${list.id} (${type})`);
+  res.status(201).json({ ...list, feedPath: feedPath(list) });
+});
+
+app.get('/api/lists/:id', requireAuth, requireRole('admin'), (req, res) => {
+  const list = db.lists.find(l => l.id === req.params.id);
+  if (!list) return res.status(404).json({ error: 'list not found' });
+  res.json({ ...list, feedPath: feedPath(list) });
+});
+
+app.put('/api/lists/:id', requireAuth, requireRole('admin'), (req, res) => {
+  const list = db.lists.find(l => l.id === req.params.id);
+  if (!list) return res.status(404).json({ error: 'list not found' });
+  const { name, description } = req.body;
+  if (name !== undefined) {
+    if (!String(name).trim()) return res.status(400).json({ error: 'name cannot be empty' });
+    list.name = String(name).trim();
+  }
+  if (description !== undefined) list.description = String(description);
+  list.updatedAt = new Date().toISOString();
+  saveData();
+  res.json({ ...list, feedPath: feedPath(list) });
+});
+
+app.delete('/api/lists/:id', requireAuth, requireRole('admin'), (req, res) => {
+  const idx = db.lists.findIndex(l => l.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: 'list not found' });
+  const [removed] = db.lists.splice(idx, 1);
+  saveData();
+  logger.info(`🗑️ list deleted ${removed.id}`);
+  res.json({ ok: true });
+});
+
+app.post('/api/lists/:id/items', requireAuth, requireRole('admin'), (req, res) => {
+  const list = db.lists.find(l => l.id === req.params.id);
+  if (!list) return res.status(404).json({ error: 'list not found' });
+  const key = listItemKey(list.type, req.body);
+  if (!key) return res.status(400).json({ error: list.type === 'movie' ? 'tmdbId required' : 'tvdbId required' });
+  const existing = list.items.find(it => listItemKey(list.type, it) === key);
+  if (existing) return res.json({ added: false, reason: 'exists', item: existing });
+  const { title, year, imdbId, imageUrl } = req.body;
+  const item = { title: title || null, year: year || null, imdbId: imdbId || null, imageUrl: imageUrl || null, addedAt: new Date().toISOString() };
+  if (list.type === 'movie') item.tmdbId = key; else item.tvdbId = key;
+  list.items.push(item);
+  list.updatedAt = item.addedAt;
+  saveData();
+  logger.info(`📋 list ${list.id} += ${title || key}`);
+  res.status(201).json({ added: true, item });
+});
+
+app.delete('/api/lists/:id/items/:key', requireAuth, requireRole('admin'), (req, res) => {
+  const list = db.lists.find(l => l.id === req.params.id);
+  if (!list) return res.status(404).json({ error: 'list not found' });
+  const before = list.items.length;
+  list.items = list.items.filter(it => listItemKey(list.type, it) !== Number(req.params.key));
+  if (list.items.length === before) return res.status(404).json({ error: 'item not found' });
+  list.updatedAt = new Date().toISOString();
+  saveData();
+  res.json({ ok: true });
+});
+
+// The feed itself: Radarr reads `id` (TMDb id), Sonarr reads `tvdbId`; the rest is informational
+app.get('/api/importlist/:id', requireFeedToken, (req, res) => {
+  const list = db.lists.find(l => l.id === req.params.id);
+  if (!list) return res.status(404).json({ error: 'list not found' });
+  const out = list.type === 'movie'
+    ? list.items.map(it => ({ id: it.tmdbId, tmdbId: it.tmdbId, imdb_id: it.imdbId || undefined, title: it.title || undefined }))
+    : list.items.map(it => ({ tvdbId: it.tvdbId, imdbId: it.imdbId || undefined, title: it.title || undefined }));
+  logger.info(`📤 import list ${list.id} served ${out.length} items to ${req.get('user-agent') || 'unknown'}`);
+  res.json(out);
+});
+
+/* -------------------------
+   Health and diagnostics
+   ------------------------- */
+
+const APP_VERSION = require('./package.json').version;
+const STARTED_AT = Date.now();
+const DIAG_TIMEOUT_MS = Number(process.env.DIAG_TIMEOUT_MS || 5000);
+// root folders / local disks below this much free space are reported as warnings
+const DIAG_MIN_FREE_GB = Number(process.env.DIAG_MIN_FREE_GB || 10);
+const DIAG_CACHE_MS = 15 * 1000;
+
+const STATUS_RANK = { ok: 0, disabled: 0, warning: 1, error: 2 };
+
+function worstStatus(list) {
+  return list.reduce((worst, s) => (STATUS_RANK[s] > STATUS_RANK[worst] ? s : worst), 'ok');
+}
+
+function lowOnSpace(free) {
+  return free != null && free < DIAG_MIN_FREE_GB * 1024 ** 3;
+}
+
+async function instanceDiagnostics(inst) {
+  const d = await inst.arr.diagnose(DIAG_TIMEOUT_MS);
+  const problems = [];
+  if (d.error) problems.push(d.reachable ? d.error : `unreachable: ${d.error}`);
+  (d.rootFolders || []).forEach(r => {
+    if (!r.accessible) problems.push(`root folder ${r.path} is not accessible`);
+    else if (lowOnSpace(r.freeSpace)) problems.push(`root folder ${r.path} has ${formatBytes(r.freeSpace)} free`);
+  });
+  if (d.rootFolders && !d.rootFolders.length) problems.push('no root folders configured');
+  (d.health || []).filter(h => h.type === 'warning' || h.type === 'error').forEach(h => problems.push(`${h.source}: ${h.message}`));
+  (d.errors || []).forEach(e => problems.push(e));
+  const status = d.error ? 'error' : problems.length ? 'warning' : 'ok';
+  return { kind: inst.kind, key: inst.key, name: inst.name, status, problems, ...d };
+}
+
+async function telegramDiagnostics() {
+  const token = process.env.TELEGRAM_TOKEN;
+  if (!token) return { status: 'disabled', problems: ['TELEGRAM_TOKEN not set'] };
+  try {
+    const { data } = await telegramHttp.get(`/bot${token}/getMe`, { timeout: DIAG_TIMEOUT_MS });
+    const problems = telegramNotifyChatId() ? [] : ['no notify chat set (TELEGRAM_NOTIFY_CHAT_ID or settings) — admin notifications are skipped'];
+    return { status: problems.length ? 'warning' : 'ok', username: data.result && data.result.username, problems };
+  } catch (err) {
+    // never echo the request URL, it contains the token
+    const reason = err.response ? (err.response.status === 401 ? 'token rejected by Telegram' : `HTTP ${err.response.status}`) : err.code || 'request failed';
+    return { status: 'error', problems: [reason] };
+  }
+}
+
+function diskDiagnostics(label, dir) {
+  try {
+    const st = fs.statfsSync(dir);
+    const free = st.bavail * st.bsize;
+    const total = st.blocks * st.bsize;
+    const low = lowOnSpace(free) || (total && free / total < 0.05);
+    return { label, path: dir, free, total, status: low ? 'warning' : 'ok', problems: low ? [`${formatBytes(free)} free`] : [] };
+  } catch (err) {
+    return { label, path: dir, status: 'error', problems: [err.code || err.message] };
+  }
+}
+
+let diagnosticsCache = null; // { at, value }
+
+async function runDiagnostics() {
+  const all = [...instances.radarr, ...instances.sonarr];
+  const [arrs, telegram] = await Promise.all([Promise.all(all.map(instanceDiagnostics)), telegramDiagnostics()]);
+  const disks = [diskDiagnostics('logs', LOG_DIR), diskDiagnostics('data', path.dirname(DATA_FILE))];
+  return {
+    status: worstStatus([...arrs.map(a => a.status), telegram.status, ...disks.map(d => d.status)]),
+    checkedAt: new Date().toISOString(),
+    version: APP_VERSION,
+    uptimeSec: Math.round((Date.now() - STARTED_AT) / 1000),
+    instances: arrs,
+    telegram,
+    disks
+  };
+}
+
+// liveness for Docker/uptime monitors: no auth and no outbound calls
+app.get('/api/health', (req, res) => {
+  res.json({ ok: true, status: 'up', version: APP_VERSION, uptimeSec: Math.round((Date.now() - STARTED_AT) / 1000) });
+});
+
+// ?fresh=true skips the short cache
+app.get('/api/diagnostics', requireAuth, requireRole('admin'), async (req, res) => {
+  if (!diagnosticsCache || req.query.fresh === 'true' || Date.now() - diagnosticsCache.at > DIAG_CACHE_MS) {
+    diagnosticsCache = { at: Date.now(), value: await runDiagnostics() };
+    const { status, instances: arrs, telegram, disks } = diagnosticsCache.value;
+    const failing = [...arrs.map(a => ({ ...a, label: a.name })), { ...telegram, label: 'telegram' }, ...disks.map(d => ({ ...d, label: `disk:${d.label}` }))]
+      .filter(c => c.status === 'error' || c.status === 'warning');
+    if (status !== 'ok') logger.warn(`🩺 diagnostics: ${status} — ${failing.map(c => `${c.label}: ${c.problems.join('; ')}`).join(' | ')}`);
+  }
+  res.json(diagnosticsCache.value);
+});
+
+/* -------------------------
+   Metrics endpoint (Prometheus scrape; the bot pushes its own metrics here)
+   ------------------------- */
+const BOT_METRICS_STALE_MS = 5 * 60 * 1000;
+let botMetrics = null; // { at, metrics } — latest snapshot from POST /api/metrics/bot
+
+metrics.gauge('rrr_metrics_bot_push_timestamp_seconds', 'When the bot last pushed its metrics (unix seconds); alert when it falls behind', [],
+  () => (botMetrics ? [{ value: Math.round(botMetrics.at / 1000) }] : []));
+
+// METRICS_TOKEN as a bearer token or ?token=; without it the normal sign-in (or an API token) is needed
+function requireMetricsToken(req, res, next) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) return requireAuth(req, res, next);
+  const header = String(req.headers.authorization || '');
+  const given = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+  if (!safeEqual(given, expected)) return res.status(401).json({ error: 'invalid or missing token' });
+  return next();
+}
+
+// only rrr_bot_* metrics in the shape metrics.snapshot() produces
+function validBotSnapshot(list) {
+  return Array.isArray(list) && list.length <= 100 && list.every(m =>
+    m && /^rrr_bot_[a-z0-9_]+$/.test(m.name) && ['counter', 'gauge', 'histogram'].includes(m.type) && Array.isArray(m.series) && m.series.length <= 500 &&
+    (m.type !== 'histogram' || (Array.isArray(m.buckets) && m.series.every(s => Array.isArray(s.counts) && s.counts.length === m.buckets.length))) &&
+    m.series.every(s => s && typeof s.labels === 'object' && Object.keys(s.labels).every(k => /^[a-z_][a-z0-9_]*$/.test(k))));
+}
+
+app.get('/metrics', requireMetricsToken, (req, res) => {
+  const fromBot = botMetrics && Date.now() - botMetrics.at < BOT_METRICS_STALE_MS ? botMetrics.metrics : [];
+  res.type('text/plain; version=0.0.4').send(metrics.render([metrics.snapshot(), fromBot]));
+});
+
+app.post('/api/metrics/bot', requireAuth, requireRole('admin'), (req, res) => {
+  const list = req.body && req.body.metrics;
+  if (!validBotSnapshot(list)) return res.status(400).json({ error: 'metrics must be a snapshot of rrr_bot_* metrics' });
+  botMetrics = { at: Date.now(), metrics: list };
+  res.json({ ok: true });
+});
+
+/* -------------------------
+   Settings endpoints (admin)
+   ------------------------- */
+const SETTINGS_KINDS = ['radarr', 'sonarr'];
+
+function settingsResponse() {
+  const st = settingsStore();
+  return {
+    instances: { radarr: instanceConfigs('radarr').map(settingsView), sonarr: instanceConfigs('sonarr').map(settingsView) },
+    telegram: {
+      notifyChatId: telegramNotifyChatId(),
+      source: 'notifyChatId' in st.telegram ? 'settings' : 'env',
+      botTokenSet: !!process.env.TELEGRAM_TOKEN
+    },
+    updatedAt: st.updatedAt || null,
+    updatedBy: st.updatedBy || null
+  };
+}
+
+// persist, rebuild the affected clients and drop cached diagnostics (they describe the old config)
+function saveSettings(req) {
+  const st = settingsStore();
+  st.updatedAt = new Date().toISOString();
+  st.updatedBy = req.user.username;
+  saveData();
+  applySettings();
+  diagnosticsCache = null;
+}
+
+function settingsTarget(req, res) {
+  const kind = req.params.kind;
+  const key = String(req.params.key).toLowerCase();
+  if (!SETTINGS_KINDS.includes(kind)) { res.status(400).json({ error: 'kind must be radarr or sonarr' }); return null; }
+  if (!/^[a-z0-9][a-z0-9_-]{0,29}$/.test(key)) { res.status(400).json({ error: 'instance key: lowercase letters, digits, - and _ (max 30)' }); return null; }
+  return { kind, key, current: instanceConfigs(kind).find(c => c.key === key) || null };
+}
+
+app.get('/api/settings', requireAuth, requireRole('admin'), (req, res) => {
+  res.json(settingsResponse());
+});
+
+// create or replace an instance's settings: { name, baseUrl, apiKey, publicUrl, root, qualityProfileId }
+app.put('/api/settings/instances/:kind/:key', requireAuth, requireRole('admin'), (req, res) => {
+  const t = settingsTarget(req, res);
+  if (!t) return;
+  const { value, error } = validateInstanceSettings(req.body || {}, t.current || {});
+  if (error) return res.status(400).json({ error });
+  const changed = INSTANCE_FIELDS.filter(f => (t.current ? t.current[f] : null) !== value[f]);
+  settingsStore().instances[t.kind][t.key] = value;
+  saveSettings(req);
+  logger.info(`⚙️ settings: ${t.kind}/${t.key} ${t.current ? 'updated' : 'added'} by ${req.user.username} (${changed.join(', ') || 'no changes'})`);
+  recordHistory({
+    action: 'settings.update', actor: requesterFrom(req), kind: t.kind, instance: t.key,
+    target: { type: 'instance', title: value.name || t.key }, result: t.current ? 'ok' : 'created', details: { changed }
+  });
+  res.json(settingsView(instanceConfigs(t.kind).find(c => c.key === t.key)));
+});
+
+// env instances go back to their env values; instances added here are removed
+app.delete('/api/settings/instances/:kind/:key', requireAuth, requireRole('admin'), (req, res) => {
+  const t = settingsTarget(req, res);
+  if (!t) return;
+  if (!t.current) return res.status(404).json({ error: 'unknown instance' });
+  if (!t.current.overridden) return res.status(400).json({ error: 'instance already uses its env values' });
+  delete settingsStore().instances[t.kind][t.key];
+  saveSettings(req);
+  const action = t.current.source === 'env' ? 'settings.reset' : 'settings.delete';
+  logger.info(`⚙️ settings: ${t.kind}/${t.key} ${action === 'settings.reset' ? 'reset to env values' : 'removed'} by ${req.user.username}`);
+  recordHistory({ action, actor: requesterFrom(req), kind: t.kind, instance: t.key, target: { type: 'instance', title: t.current.name || t.key } });
+  res.json({ ok: true, reset: action === 'settings.reset' });
+});
+
+// { notifyChatId } — a numeric chat id or @channelname; null/"" goes back to TELEGRAM_NOTIFY_CHAT_ID
+app.put('/api/settings/telegram', requireAuth, requireRole('admin'), (req, res) => {
+  const raw = req.body && req.body.notifyChatId;
+  const chatId = raw == null ? '' : String(raw).trim();
+  if (chatId && !/^(-?\d+|@\w{5,})$/.test(chatId)) return res.status(400).json({ error: 'notifyChatId must be a numeric chat id or @channelname' });
+  const telegram = settingsStore().telegram;
+  if (chatId) telegram.notifyChatId = chatId;
+  else delete telegram.notifyChatId;
+  saveSettings(req);
+  logger.info(`⚙️ settings: telegram notify chat ${chatId ? `set to ${chatId}` : 'reset to env value'} by ${req.user.username}`);
+  recordHistory({ action: 'settings.update', actor: requesterFrom(req), target: { type: 'telegram' }, details: { changed: ['notifyChatId'] } });
+  res.json(settingsResponse().telegram);
+});
+
+/**
+ * "Test connection" for unsaved form values: { kind, key?, baseUrl, apiKey }.
+ * A missing or masked apiKey uses the saved key of `key`. Also returns quality profiles for the default pickers.
+ */
+app.post('/api/settings/test', requireAuth, requireRole('admin'), async (req, res) => {
+  const body = req.body || {};
+  if (!SETTINGS_KINDS.includes(body.kind)) return res.status(400).json({ error: 'kind must be radarr or sonarr' });
+  const current = (body.key && instanceConfigs(body.kind).find(c => c.key === String(body.key).toLowerCase())) || {};
+  const { value, error } = validateInstanceSettings({ baseUrl: body.baseUrl || current.baseUrl, apiKey: body.apiKey }, current);
+  if (error) return res.status(400).json({ error });
+  const client = createArrClient({ kind: body.kind, key: 'settings-test', baseURL: value.baseUrl, apiKey: value.apiKey, logger });
+  const d = await client.diagnose(DIAG_TIMEOUT_MS);
+  let qualityProfiles = null;
+  if (!d.error) {
+    try {
+      const { data } = await client.http.get('/api/v3/qualityprofile', { timeout: DIAG_TIMEOUT_MS, noRetry: true });
+      qualityProfiles = (data || []).map(q => ({ id: q.id, name: q.name }));
+    } catch (err) {
+      d.errors.push(`quality profiles: ${err.message}`);
+    }
+  }
+  const expected = body.kind === 'radarr' ? 'Radarr' : 'Sonarr';
+  const warning = d.appName && d.appName !== expected ? `this is ${d.appName}, not ${expected}` : null;
+  res.json({ ok: !d.error, warning, ...d, qualityProfiles });
+});
+
+/* -------------------------
+   Log management endpoints
+   ------------------------- */
+
+// ?source=server|bot|error|all — 'all' is server + bot (rrr-error.log only repeats the server's errors)
+function logSources(source) {
+  if (source === 'server' || source === 'bot' || source === 'error') return [source];
+  return ['server', 'bot'];
+}
+
+// files the transports still write to are truncated rather than deleted, so logging carries on
+function activeLogFiles() {
+  const files = listLogFiles(LOG_DIR).filter(f => !f.compressed);
+  const latestServer = files.filter(f => f.source === 'server').pop();
+  return new Set(['rrr-error.log', 'bot.log', latestServer && latestServer.name].filter(Boolean));
+}
+
+app.get('/api/logs', requireAuth, requireRole('admin'), (req, res) => {
+  try {
+    const active = activeLogFiles();
+    res.json({ ok: true, files: listLogFiles(LOG_DIR).map(f => ({ ...f, active: active.has(f.name) })) });
+  } catch (err) {
+    logger.error('Failed to list logs: ' + safeString(err.message));
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// raw file, streamed; rotated .gz archives come back decompressed
+app.get('/api/logs/view', requireAuth, requireRole('admin'), (req, res) => {
+  const file = req.query.file;
+  if (!file) return res.status(400).json({ error: 'file query param required' });
+  const name = path.basename(String(file));
+  if (!classifyLogFile(name) || !fs.existsSync(path.join(LOG_DIR, name))) return res.status(404).json({ error: 'file not found' });
+  res.type('text/plain');
+  const stream = openLogStream(LOG_DIR, name);
+  stream.on('error', err => {
+    logger.error(`Failed to read log file ${name}: ` + safeString(err.message));
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+    else res.end();
+  });
+  stream.pipe(res);
+});
+
+// ?source &level (minimum) &since &until &q &file &limit (default 500, max 5000) — the newest `limit` matches, oldest first
+app.get('/api/logs/search', requireAuth, requireRole('admin'), async (req, res) => {
+  const { source, level, since, until, q, file } = req.query;
+  if (level && !LOG_LEVELS.includes(String(level).toLowerCase())) return res.status(400).json({ error: `level must be one of ${LOG_LEVELS.join(', ')}` });
+  const limit = Math.min(Math.max(1, Number(req.query.limit) || 500), 5000);
+  const sources = logSources(source);
+  const files = listLogFiles(LOG_DIR).filter(f => (file ? f.name === path.basename(String(file)) : sources.includes(f.source)));
+  if (file && !files.length) return res.status(404).json({ error: 'file not found' });
+  try {
+    res.json(await searchLogs(LOG_DIR, files, logFilter({ level, since, until, q }), { limit, since, until }));
+  } catch (err) {
+    logger.error('Log search failed: ' + safeString(err.message));
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Server-sent events: one "entry" event per new matching line (same filters as search, minus the time range)
+app.get('/api/logs/stream', requireAuth, requireRole('admin'), (req, res) => {
+  const { source, level, q } = req.query;
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+  const stop = tailLogs(LOG_DIR, logSources(source), logFilter({ level, q }), e => res.write(`event: entry\ndata: ${JSON.stringify(e)}\n\n`));
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  req.on('close', () => { stop(); clearInterval(heartbeat); });
+});
+
+// { files?: [names], olderThanDays? } narrow what is cleared; with neither (or no body) every log file goes, as this
+// endpoint always did. Files still being written are emptied rather than deleted; rotation audit files are never touched.
+app.post('/api/clearlogs', requireAuth, requireRole('admin'), (req, res) => {
+  const { files, olderThanDays } = req.body || {};
+  if (files !== undefined && !Array.isArray(files)) return res.status(400).json({ error: 'files must be an array of file names' });
+  if (olderThanDays !== undefined && !(Number(olderThanDays) >= 0)) return res.status(400).json({ error: 'olderThanDays must be a number' });
+  try {
+    const active = activeLogFiles();
+    const cutoff = olderThanDays !== undefined ? Date.now() - Number(olderThanDays) * 24 * 60 * 60 * 1000 : null;
+    const names = files ? new Set(files.map(f => path.basename(String(f)))) : null;
+    const deleted = [];
+    const truncated = [];
+    for (const f of listLogFiles(LOG_DIR)) {
+      if (names && !names.has(f.name)) continue;
+      if (cutoff != null && Date.parse(f.modified) >= cutoff) continue;
+      const full = path.join(LOG_DIR, f.name);
+      try {
+        if (active.has(f.name)) { fs.truncateSync(full, 0); truncated.push(f.name); }
+        else { fs.unlinkSync(full); deleted.push(f.name); }
+      } catch (e) { logger.warn('clearing failed for ' + full + ': ' + safeString(e.message)); }
+    }
+    logger.info(`🧹 Logs cleared via /api/clearlogs: ${deleted.length} deleted, ${truncated.length} truncated${cutoff != null ? ` (older than ${olderThanDays} days)` : ''}`);
+    recordHistory({ action: 'logs.clear', actor: requesterFrom(req), details: { deleted, truncated, olderThanDays: olderThanDays ?? null } });
+    res.json({ ok: true, message: 'logs cleared', deleted, truncated });
   } catch (err) {
     logger.error('Failed to clear logs: ' + safeString(err.message));
     res.status(500).json({ error: err.message });
@@ -485,17 +3708,22 @@ app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
 // Root route - render views/index.ejs
-app.get('/', (req, res) => {
-  // you can pass dynamic values here later, e.g. { title: 'RRR — Search & Add' }
-  return res.render('index', { });
-});
+function renderIndex(req, res) {
+  return res.render('index', { user: req.user, csrfToken: req.session ? req.session.csrf : '', authEnabled: authEnabled() });
+}
+
+app.get('/', requirePageAuth, renderIndex);
 
 // If this is a single-page app and you want client-side routing to work
 // for unknown paths, return index.ejs for any non-API route:
-app.get(/^\/(?!api).*/, (req, res) => {
-  return res.render('index', { });
-});
+app.get(/^\/(?!api).*/, requirePageAuth, renderIndex);
 
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => logger.info(`✅ Server started on http://localhost:${PORT}`));
+seedTelegramAdmins();
+seedWebAdmin().then(() => app.listen(PORT, () => {
+  logger.info(`✅ Server started on http://localhost:${PORT}`);
+  warnOpenFeeds();
+  startSyncScheduler();
+  startCalendarDigest();
+}));